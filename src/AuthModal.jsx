@@ -1,8 +1,7 @@
 import React, { useState } from 'react';
 import { X, Mail, Lock, User, Loader2, AlertCircle } from 'lucide-react';
 import { sendPasswordResetEmail } from 'firebase/auth';
-import { auth, db } from './firebase';
-import { doc, getDoc } from 'firebase/firestore';
+import { auth } from './firebase';
 
 const AuthModal = ({ onClose, onAuthSuccess, mode: initialMode = 'login' }) => {
     const [mode, setMode] = useState(initialMode); // 'login' | 'signup' | 'reset'
@@ -38,21 +37,8 @@ const AuthModal = ({ onClose, onAuthSuccess, mode: initialMode = 'login' }) => {
 
         try {
             if (mode === 'reset') {
-                // Whitelist check
-                const whitelistRef = doc(db, 'authorized_users', 'whitelist');
-                const whitelistSnap = await getDoc(whitelistRef);
-                if (!whitelistSnap.exists()) {
-                    setError('Authorization system not configured.');
-                    setLoading(false);
-                    return;
-                }
-                const emails = (whitelistSnap.data().emails || []).map((e) => String(e).toLowerCase());
-                if (!emails.includes((email || '').toLowerCase())) {
-                    setError('Email is not authorized for this system.');
-                    setLoading(false);
-                    return;
-                }
-
+                // The whitelist is not readable before sign-in; accounts that are not
+                // listed can reset a password but still can't reach any data
                 await sendPasswordResetEmail(auth, email);
                 setSuccess('Password reset email sent. Please check your inbox.');
                 setLoading(false);
@@ -0,0 +1,238 @@
+// Chart of Accounts: the accounts ledger entries post to, with codes, grouping, type and opening balances.
+//
+// One record per account at artifacts/{appId}/orgs/{orgId}/chartOfAccounts/{accountId}:
+//   { code, name, parentId, type, normalBalance, active, openingBalance, openingBalanceDate }
+// Top-level accounts (parentId null) are the groups the ledger calls "Main Category"; their children
+// are the accounts entries post to ("Sub Category"). Children share their group's type. Entries store
+// both names rather than ids, so renaming an account has to rename it on its entries too. A rename
+// writes the account's former names to `renamedFrom` ({ mainCategory, subCategory } for an account,
+// { mainCategory } for a group) and its id to each moved entry's `renamedAccountId`, in the same batch;
+// that is how firestore.rules lets a rename reach entries in closed periods.
+// `openingBalance` is signed in the account's normal balance direction (negative means the other side).
+//
+// An organisation without a chart gets one seeded from its old category lists
+// (ledgerSettings/defaultSubCategories) or DEFAULT_CHART, using the account codes as document ids
+// so two browsers seeding at once write the same records.
+
+export const ACCOUNT_TYPES = {
+  asset: { label: 'Non-Current Asset', normalBalance: 'debit', baseCode: 1000 },
+  currentAsset: { label: 'Current Asset', normalBalance: 'debit', baseCode: 1500 },
+  liability: { label: 'Non-Current Liability', normalBalance: 'credit', baseCode: 2000 },
+  currentLiability: { label: 'Current Liability', normalBalance: 'credit', baseCode: 2500 },
+  equity: { label: 'Equity', normalBalance: 'credit', baseCode: 3000 },
+  income: { label: 'Income', normalBalance: 'credit', baseCode: 4000 },
+  expense: { label: 'Expense', normalBalance: 'debit', baseCode: 5000 },
+}
+
+export const DEFAULT_CHART = {
+  Assets: [
+    'Cash and Cash Equivalents', 'Bank Accounts', 'Accounts Receivable', 'Inventory', 'Prepaid Expenses',
+    'Property, Plant, and Equipment (PP&E)', 'Investments', 'Short-Term Investments', 'Long-Term Investments',
+    'Office Supplies', 'Vehicles', 'Others',
+  ],
+  'Current Assets': ['Sundry Debtors', 'Others'],
+  Liability: ['Accounts Payable', 'Notes Payable', 'Salaries and Wages Payable', 'Taxes Payable', 'Bonds Payable', 'Accrued Expenses', 'Unearned Revenue', 'Others'],
+  'Current Liabilities': ['Sundry Creditors', 'Credit Cards', 'Others'],
+  Capital: ["Owner's Capital", "Partner's Capital", 'Drawings', 'Others'],
+  Equity: ['Common Stock', 'Retained Earnings', 'Additional Paid-in Capital', 'Others'],
+  Income: [
+    'Sales Revenue', 'Service Revenue', 'Interest Income', 'Rental Income', 'Dividend Income', 'Gain on Sale of Assets',
+    'Qid Renew', 'Issue Resident Permit', 'Change Passport Details', 'Sponsorship Change', 'Vehicles', 'Others',
+  ],
+  Expenses: [
+    'Cost of Goods Sold (COGS)', 'Salaries and Wages', 'Rent Expense', 'Utilities Expense', 'Marketing and Advertising',
+    'Depreciation Expense', 'Insurance Expense', 'Travel Expense', 'Office Supplies Expense', 'Bank Charges',
+    'Miscellaneous Expenses', 'Qid Renew', 'Issue Resident Permit', 'Change Passport Details', 'Sponsorship Change', 'Vehicles', 'Others',
+  ],
+}
+
+// The main categories the ledger used before the chart existed, and where they sit in it
+const LEGACY_GROUPS = {
+  Assets: { type: 'asset', code: 1000 },
+  'Current Assets': { type: 'currentAsset', code: 1500 },
+  Liability: { type: 'liability', code: 2000 },
+  'Current Liabilities': { type: 'currentLiability', code: 2500 },
+  Capital: { type: 'equity', code: 3000 },
+  Equity: { type: 'equity', code: 3500 },
+  Income: { type: 'income', code: 4000 },
+  Expenses: { type: 'expense', code: 5000 },
+}
+
+// Contra accounts in the default chart, which normally carry the opposite balance to their group
+const CONTRA_ACCOUNTS = ['Drawings']
+
+const GROUP_CODE_STEP = 100
+const ACCOUNT_CODE_STEP = 10
+
+/** Best guess at the type of a category nobody has classified yet. */
+export function guessAccountType(name) {
+  if (LEGACY_GROUPS[name]) return LEGACY_GROUPS[name].type
+  const lower = String(name || '').toLowerCase()
+  if (/current liabilit|creditor/.test(lower)) return 'currentLiability'
+  if (/liabilit|payable|loan/.test(lower)) return 'liability'
+  if (/current asset|debtor|receivable/.test(lower)) return 'currentAsset'
+  if (/income|revenue|sales/.test(lower)) return 'income'
+  if (/expense|cost/.test(lower)) return 'expense'
+  if (/capital|equity/.test(lower)) return 'equity'
+  return 'asset'
+}
+
+export const sortByCode = (accounts) =>
+  [...accounts].sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }) || a.name.localeCompare(b.name))
+
+export const accountGroups = (accounts) => sortByCode(accounts.filter((a) => !a.parentId))
+
+export const childAccounts = (accounts, parentId) => sortByCode(accounts.filter((a) => a.parentId === parentId))
+
+/** { groupName: [accountName] } of active accounts in code order, the shape the ledger forms use. */
+export function categoriesFromAccounts(accounts) {
+  const categories = {}
+  accountGroups(accounts).filter((g) => g.active !== false).forEach((group) => {
+    categories[group.name] = childAccounts(accounts, group.id).filter((a) => a.active !== false).map((a) => a.name)
+  })
+  return categories
+}
+
+/** The account an entry posts to: the child named subCategory under mainCategory, or the group itself. */
+export function findAccount(accounts, mainCategory, subCategory) {
+  const group = accounts.find((a) => !a.parentId && a.name === mainCategory)
+  if (!group) return null
+  return accounts.find((a) => a.parentId === group.id && a.name === subCategory) || group
+}
+
+/** Type of a main category, falling back to the pre-chart names for categories missing from the chart. */
+export function accountTypeOf(accounts, mainCategory) {
+  return findAccount(accounts, mainCategory)?.type || LEGACY_GROUPS[mainCategory]?.type || null
+}
+
+/** 'debit' or 'credit': the side an entry for this account normally posts to, or null when unknown. */
+export function entrySide(accounts, mainCategory, subCategory) {
+  const account = findAccount(accounts, mainCategory, subCategory)
+  if (account) return account.normalBalance || ACCOUNT_TYPES[account.type]?.normalBalance || null
+  return ACCOUNT_TYPES[LEGACY_GROUPS[mainCategory]?.type]?.normalBalance || null
+}
+
+const numericCode = (code) => (/^\d+$/.test(String(code)) ? Number(code) : null)
+
+/** A free code for a new group of this type, or a new account under parentId. */
+export function nextAccountCode(accounts, { parentId = null, type = 'asset' } = {}) {
+  const used = new Set(accounts.map((a) => String(a.code)))
+  let code
+  if (parentId) {
+    const parent = accounts.find((a) => a.id === parentId)
+    const siblings = accounts.filter((a) => a.parentId === parentId).map((a) => numericCode(a.code)).filter((c) => c !== null)
+    const start = siblings.length > 0 ? Math.max(...siblings) : numericCode(parent?.code)
+    if (start === null) return ''
+    code = start + ACCOUNT_CODE_STEP
+    while (used.has(String(code))) code += 1
+  } else {
+    const groups = accounts.filter((a) => !a.parentId && a.type === type).map((a) => numericCode(a.code)).filter((c) => c !== null)
+    code = groups.length > 0 ? Math.max(...groups) + GROUP_CODE_STEP : ACCOUNT_TYPES[type].baseCode
+    while (used.has(String(code))) code += GROUP_CODE_STEP
+  }
+  return String(code)
+}
+
+const newAccount = (fields) => ({
+  parentId: null,
+  active: true,
+  openingBalance: 0,
+  openingBalanceDate: null,
+  ...fields,
+  normalBalance: fields.normalBalance || ACCOUNT_TYPES[fields.type].normalBalance,
+})
+
+/**
+ * The accounts to create for an organisation without a chart: its saved category lists (or
+ * DEFAULT_CHART), plus any category its ledger entries use that the lists don't have.
+ * Each account carries the `id` to store it under.
+ */
+export function seedAccounts(savedCategories, usedCategories = []) {
+  const categories = {}
+  Object.entries(savedCategories || DEFAULT_CHART).forEach(([group, names]) => {
+    categories[group] = [...new Set(Array.isArray(names) ? names : [])]
+  })
+  usedCategories.forEach(({ mainCategory, subCategory }) => {
+    if (!mainCategory) return
+    categories[mainCategory] = categories[mainCategory] || []
+    if (subCategory && !categories[mainCategory].includes(subCategory)) categories[mainCategory].push(subCategory)
+  })
+
+  const accounts = []
+  // Known groups keep their usual codes; the rest are numbered after them within their type
+  const groupNames = Object.keys(categories).sort((a, b) => (LEGACY_GROUPS[a] ? 0 : 1) - (LEGACY_GROUPS[b] ? 0 : 1))
+  groupNames.forEach((name) => {
+    const type = guessAccountType(name)
+    const code = LEGACY_GROUPS[name] && !accounts.some((a) => a.code === String(LEGACY_GROUPS[name].code))
+      ? String(LEGACY_GROUPS[name].code)
+      : nextAccountCode(accounts, { type })
+    const group = newAccount({ id: code, code, name, type })
+    accounts.push(group)
+    categories[name].forEach((childName) => {
+      const childCode = nextAccountCode(accounts, { parentId: group.id })
+      const normalBalance = CONTRA_ACCOUNTS.includes(childName) ? (ACCOUNT_TYPES[type].normalBalance === 'debit' ? 'credit' : 'debit') : undefined
+      accounts.push(newAccount({ id: childCode, code: childCode, name: childName, parentId: group.id, type, normalBalance }))
+    })
+  })
+  return accounts
+}
+
+/**
+ * Opening balances as ledger-shaped lines, so reports can total them with the entries.
+ * Lines without an opening balance date only show up in all-time views.
+ */
+export function openingBalanceLines(accounts) {
+  return accounts
+    .filter((a) => Number(a.openingBalance))
+    .map((account) => {
+      const group = account.parentId ? accounts.find((a) => a.id === account.parentId) : null
+      const amount = Number(account.openingBalance)
+      const debitSide = (account.normalBalance === 'debit') === amount > 0
+      return {
+        id: `opening-${account.id}`,
+        date: account.openingBalanceDate || undefined,
+        particulars: 'Opening balance',
+        mainCategory: group ? group.name : account.name,
+        subCategory: group ? account.name : '',
+        debit: debitSide ? Math.abs(amount) : 0,
+        credit: debitSide ? 0 : Math.abs(amount),
+        isOpeningBalance: true,
+      }
+    })
+}
+
+const toTime = (value) => {
+  const d = value?.toDate ? value.toDate() : value ? new Date(value) : null
+  return d && !isNaN(d.getTime()) ? d.getTime() : -Infinity
+}
+
+/**
+ * One account's movements from `from` to `to` (Dates, either may be null), with the balance brought
+ * forward and a running balance after each line. Balances are in the account's normal direction, so
+ * a credit account's balance grows with credits. An empty subCategory takes the whole group.
+ * Pass entries with openingBalanceLines() included; undated ones count as before everything else.
+ * Returns { opening, lines: [{ entry, balance }], debit, credit, closing }.
+ */
+export function accountStatement(entries, accounts, { mainCategory, subCategory = '' }, from = null, to = null) {
+  const sign = entrySide(accounts, mainCategory, subCategory) === 'credit' ? -1 : 1
+  const start = from ? from.getTime() : -Infinity
+  // `to` is a day, so the whole of it is included
+  const end = to ? to.getTime() + 24 * 60 * 60 * 1000 : Infinity
+  const movement = (e) => sign * ((Number(e.debit) || 0) - (Number(e.credit) || 0))
+  const posted = entries
+    .filter((e) => e.mainCategory === mainCategory && (!subCategory || e.subCategory === subCategory))
+    .map((entry) => ({ entry, time: toTime(entry.date) }))
+    .sort((a, b) => a.time - b.time || (a.entry.lineNo || 0) - (b.entry.lineNo || 0))
+
+  const opening = posted.filter(({ time }) => time < start).reduce((sum, { entry }) => sum + movement(entry), 0)
+  let balance = opening
+  let debit = 0
+  let credit = 0
+  const lines = posted.filter(({ time }) => time >= start && time < end).map(({ entry }) => {
+    balance += movement(entry)
+    debit += Number(entry.debit) || 0
+    credit += Number(entry.credit) || 0
+    return { entry, balance }
+  })
+  return { opening, lines, debit, credit, closing: balance }
+}
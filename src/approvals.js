@@ -0,0 +1,64 @@
+// Approvals: ledger entries posted by clerks wait as drafts until an owner or accountant approves them.
+//
+// The approval is kept on the entry itself, at artifacts/{appId}/orgs/{orgId}/ledgerQatar/{entryId}:
+//   { approvalStatus, submittedBy, submittedByEmail, submittedAt, reviewedBy, reviewedByEmail, reviewedAt, reviewComment }
+// approvalStatus is 'pending', 'rejected' or 'approved'. Entries without one (everything owners and
+// accountants post, and everything from before approvals) are approved. Only approved entries are in the
+// books: the General Ledger, Financial Reports, the year-end close and the charts leave the rest out.
+//
+// Thresholds are at artifacts/{appId}/orgs/{orgId}/ledgerSettings/approvals:
+//   { amount, accounts: { 'mainCategory|subCategory': amount } }
+// A clerk's entry needs approval when its amount reaches the threshold of its account, else of its account
+// group ('mainCategory|'), else `amount`; a null `amount` lets entries on other accounts post directly.
+// Until the record exists, every clerk entry needs approval. firestore.rules applies the same thresholds
+// and keeps anyone from reviewing an entry they submitted.
+
+export const APPROVAL_STATUSES = {
+  pending: { label: 'Awaiting approval', className: 'bg-amber-500/20 text-amber-300' },
+  rejected: { label: 'Rejected', className: 'bg-red-500/20 text-red-300' },
+  approved: { label: 'Approved', className: 'bg-green-500/20 text-green-300' },
+}
+
+export const DEFAULT_APPROVAL_SETTINGS = { amount: 0, accounts: {} }
+
+export const isApproved = (entry) => !entry.approvalStatus || entry.approvalStatus === 'approved'
+
+export const thresholdKey = (mainCategory, subCategory = '') => `${mainCategory}|${subCategory || ''}`
+
+/** The amount from which an entry on this account needs approval, or null when it never does. */
+export function approvalThreshold(settings, entry) {
+  const accounts = settings?.accounts || {}
+  const account = thresholdKey(entry.mainCategory, entry.subCategory)
+  const group = thresholdKey(entry.mainCategory)
+  if (account in accounts) return accounts[account]
+  if (group in accounts) return accounts[group]
+  return settings && 'amount' in settings ? settings.amount : DEFAULT_APPROVAL_SETTINGS.amount
+}
+
+export function needsApproval(settings, entry) {
+  const threshold = approvalThreshold(settings, entry)
+  return threshold !== null && threshold !== undefined && Math.max(Number(entry.debit) || 0, Number(entry.credit) || 0) >= threshold
+}
+
+/**
+ * What a clerk's entries are stored with. The lines of one journal voucher are submitted together,
+ * so they wait for approval if any of them needs it.
+ */
+export function submissionFields(settings, lines, user) {
+  return {
+    approvalStatus: lines.some((line) => needsApproval(settings, line)) ? 'pending' : 'approved',
+    submittedBy: user?.uid || '',
+    submittedByEmail: user?.email || '',
+  }
+}
+
+/** The fields an approval or rejection sets; a rejection needs a comment saying why. */
+export function reviewFields(decision, user, comment = '') {
+  if (decision === 'rejected' && !comment.trim()) throw new Error('Say why the entry is rejected, so the clerk can correct it.')
+  return {
+    approvalStatus: decision,
+    reviewedBy: user?.uid || '',
+    reviewedByEmail: user?.email || '',
+    reviewComment: comment.trim(),
+  }
+}
@@ -0,0 +1,354 @@
+// Central write layer. App.jsx takes addDoc, setDoc, updateDoc, deleteDoc and writeBatch from
+// here instead of firebase/firestore; they behave the same, but every write under an organisation
+// root is committed in the same batch as an audit entry:
+//
+//   artifacts/{appId}/orgs/{orgId}/auditLog/{entryId}
+//     { action, module, collection, docId, before, after, changedFields, actorUid, actorEmail, actorName, at }
+//
+// `collection` is the path below the org root (e.g. alMarriData/emp1/documents). Creates keep
+// `after`, deletes keep `before`, and updates keep only the changed fields on both sides so entries
+// stay small. Secret fields (src/vault.js) are listed as changed but their values are never copied.
+// View preferences (pageSettings, *Settings) are not audited. firestore.rules accepts an entry only
+// when the same batch creates, changes or deletes the record it names, as its action says.
+//
+// Audited deletes also move the record to the recycle bin, in the same batch:
+//
+//   artifacts/{appId}/orgs/{orgId}/trash/{entryId}
+//     { path, module, collection, docId, data, subCollections, files, deletedBy, deletedByEmail, deletedAt, expiresAt }
+//
+// `path` is the document path below the org root. Employees (*Data) take their `documents`
+// subcollection with them, kept as `subCollections: { documents: [{ id, ...data }] }` like the
+// JSON exports. `files` lists the Storage paths (*storagePath fields, also inside arrays such as a
+// ledger entry's attachments) so a purge can remove them.
+// Moves between lists (e.g. settling a debt) pass { trash: false }. Members, settings and fiscal
+// periods never go to the bin (firestore.rules refuses it), so restoring can't be used to write them.
+//
+// Each commit also reports what it changed, with the state of every document before it, to the
+// listener registered by onCommit() (undo/redo in src/history.js), together with the undo step the
+// writes were given as { step }: a writeBatch option, or the last argument of the other functions.
+import { doc, getDoc, getDocs, collection, deleteField, writeBatch as firestoreWriteBatch, serverTimestamp, Timestamp, FieldValue } from 'firebase/firestore'
+import { ref as storageRef, deleteObject } from 'firebase/storage'
+import { db, auth, storage } from './firebase'
+import { SECRET_FIELDS } from './vault'
+
+export const AUDIT_ACTIONS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+}
+
+export const AUDIT_MODULES = ['Ledger', 'Debts & Credits', 'Employees', 'Employee P&L', 'Vehicles', 'Docs & Creds', 'Company Records', 'Visa', 'Business', 'Statements', 'Vision', 'Settings', 'Other']
+
+export const TRASH_RETENTION_DAYS = 30
+
+const ORG_ROOT = /^(artifacts\/[^/]+\/orgs\/[^/]+)\/(.+)$/
+const NOT_AUDITED = /^(auditLog|trash|pageSettings|.*Settings)$/
+const NOT_BINNED = /^(members|settings|fiscalPeriods)$/
+const STORAGE_PATH_FIELD = /storagePath$/i
+const DAY_MS = 24 * 60 * 60 * 1000
+const SECRET_MARKER = '(secret)'
+const COMPUTED_MARKER = '(set on save)'
+// Firestore allows 500 writes per batch; each audited write also adds its entry (and a delete its trash entry)
+const MAX_BATCH_WRITES = 500
+
+let commitListener = null
+
+/** Which part of the dashboard a top-level collection belongs to. */
+export function auditModule(collectionId) {
+  if (['ledgerQatar', 'ledgerFavorites', 'chartOfAccounts', 'recurringTemplates', 'recurringEntries', 'bankReconciliations', 'exchangeRates', 'fiscalPeriods', 'budgets'].includes(collectionId)) return 'Ledger'
+  if (['debts_credits', 'debts_credits_settled', 'bad_debts'].includes(collectionId)) return 'Debts & Credits'
+  if (collectionId.startsWith('visa_')) return 'Visa'
+  if (collectionId.startsWith('business_')) return 'Business'
+  if (collectionId === 'statements') return 'Statements'
+  if (['vision', 'visionNotes'].includes(collectionId)) return 'Vision'
+  if (collectionId === 'settings') return 'Settings'
+  if (collectionId.endsWith('EmployeePnl')) return 'Employee P&L'
+  if (collectionId.endsWith('Data')) return 'Employees'
+  if (collectionId.endsWith('Vehicles')) return 'Vehicles'
+  if (/(Documents|Credentials|Reminders)$/.test(collectionId)) return 'Docs & Creds'
+  if (/(Wps|Bank|Audit|Cheques|Others)$/.test(collectionId)) return 'Company Records'
+  return 'Other'
+}
+
+// Splits a document path into its org root and the collection below it, or null when not audited
+function auditTarget(ref) {
+  const match = ref.path.match(ORG_ROOT)
+  if (!match) return null
+  const segments = match[2].split('/')
+  if (NOT_AUDITED.test(segments[0])) return null
+  return { root: match[1], path: match[2], collection: segments.slice(0, -1).join('/'), collectionId: segments[0] }
+}
+
+// Subcollections that belong to a document and go to the recycle bin with it
+const subCollectionNames = (target) => (!target.collection.includes('/') && auditModule(target.collectionId) === 'Employees' ? ['documents'] : [])
+
+const isDeleteField = (value) => value instanceof FieldValue && value.isEqual(deleteField())
+
+// Plain, comparable copy of a stored value: timestamps as ISO strings, keys sorted
+function comparable(value) {
+  if (value === undefined || value === null) return null
+  if (value instanceof FieldValue) return COMPUTED_MARKER
+  if (typeof value.toDate === 'function') return value.toDate().toISOString()
+  if (value instanceof Date) return value.toISOString()
+  if (Array.isArray(value)) return value.map(comparable)
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: comparable(value[key]) }), {})
+  }
+  return value
+}
+
+// What is copied into the audit entry: server-computed values become a marker, secrets are masked
+function recorded(value) {
+  if (value instanceof FieldValue) return COMPUTED_MARKER
+  if (Array.isArray(value)) return value.map(recorded)
+  if (value && typeof value === 'object' && typeof value.toDate !== 'function' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, recorded(item)]))
+  }
+  return value ?? null
+}
+
+function pick(data, fields) {
+  if (!data) return null
+  const result = {}
+  for (const field of fields || Object.keys(data)) {
+    if (!(field in data)) continue
+    result[field] = SECRET_FIELDS.includes(field) && data[field] ? SECRET_MARKER : recorded(data[field])
+  }
+  return result
+}
+
+// updateDoc() accepts dotted field paths; mirror them on a copy of the current data
+function applyUpdate(before, changes) {
+  const after = structuredCloneSafe(before || {})
+  for (const [path, value] of Object.entries(changes)) {
+    const keys = path.split('.')
+    let target = after
+    keys.slice(0, -1).forEach((key) => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {}
+      target = target[key]
+    })
+    const last = keys[keys.length - 1]
+    if (isDeleteField(value)) delete target[last]
+    else target[last] = value
+  }
+  return after
+}
+
+// Copies plain maps so nested updates don't touch the snapshot data; leaves timestamps and sentinels alone
+function structuredCloneSafe(value) {
+  if (Array.isArray(value)) return value.map(structuredCloneSafe)
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, structuredCloneSafe(item)]))
+  }
+  return value
+}
+
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  return [...keys].filter((key) => JSON.stringify(comparable(before?.[key])) !== JSON.stringify(comparable(after?.[key]))).sort()
+}
+
+function auditEntry(op, before, target) {
+  let after = null
+  if (op.type === 'update') after = applyUpdate(before, op.data)
+  else if (op.type === 'set') after = op.merge && before ? applyUpdate(before, op.data) : op.data
+  const action = op.type === 'delete' ? 'delete' : before ? 'update' : 'create'
+  const fields = changedFields(before, after)
+  if (fields.length === 0) return null
+  const user = auth.currentUser
+  return {
+    action,
+    module: auditModule(target.collectionId),
+    collection: target.collection,
+    docId: op.ref.id,
+    before: action === 'create' ? null : pick(before, action === 'update' ? fields : null),
+    after: action === 'delete' ? null : pick(after, action === 'update' ? fields : null),
+    changedFields: fields,
+    actorUid: user?.uid || '',
+    actorEmail: user?.email || '',
+    actorName: user?.displayName || '',
+    at: serverTimestamp(),
+  }
+}
+
+/**
+ * Storage paths referenced by a record and its subcollection documents, at any depth: ledger
+ * receipts, for one, are kept as `attachments: [{ storagePath, ... }]`.
+ */
+export function storagePaths(data, subCollections = {}) {
+  const paths = []
+  const walk = (value, field = '') => {
+    if (typeof value === 'string') {
+      if (value && STORAGE_PATH_FIELD.test(field)) paths.push(value)
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => walk(item, field))
+    } else if (value && typeof value === 'object' && typeof value.toDate !== 'function') {
+      Object.entries(value).forEach(([key, item]) => walk(item, key))
+    }
+  }
+  const records = [data, ...Object.values(subCollections).flat()]
+  records.forEach((record) => walk(record))
+  return [...new Set(paths)]
+}
+
+function trashEntry(op, target, before, subCollections) {
+  const user = auth.currentUser
+  return {
+    path: target.path,
+    module: auditModule(target.collectionId),
+    collection: target.collection,
+    docId: op.ref.id,
+    data: before,
+    subCollections,
+    files: storagePaths(before, subCollections),
+    deletedBy: user?.uid || '',
+    deletedByEmail: user?.email || '',
+    deletedAt: serverTimestamp(),
+    expiresAt: Timestamp.fromMillis(Date.now() + TRASH_RETENTION_DAYS * DAY_MS),
+  }
+}
+
+// The batch writes for one requested write: the write itself, its audit entry and, for deletes,
+// its subcollection documents and recycle bin entry. `change` describes it for undo.
+async function writeGroup(op) {
+  const target = auditTarget(op.ref)
+  if (!target) return { writes: [op], change: null }
+  const snap = op.isNew ? null : await getDoc(op.ref)
+  const before = snap?.exists() ? snap.data() : null
+  const writes = [op]
+  const entry = auditEntry(op, before, target)
+  if (!entry) return { writes, change: null }
+  writes.push({ type: 'set', ref: doc(collection(db, `${target.root}/auditLog`)), data: entry })
+  const change = { op, before, action: entry.action, module: entry.module, subCollections: {}, trashRef: null }
+  if (op.type === 'delete' && op.trash !== false && !NOT_BINNED.test(target.collectionId)) {
+    for (const name of subCollectionNames(target)) {
+      const subSnapshot = await getDocs(collection(op.ref, name))
+      change.subCollections[name] = subSnapshot.docs.map((d) => ({ id: d.id, ...d.data() }))
+      subSnapshot.docs.forEach((d) => writes.push({ type: 'delete', ref: d.ref }))
+    }
+    change.trashRef = doc(collection(db, `${target.root}/trash`))
+    writes.push({ type: 'set', ref: change.trashRef, data: trashEntry(op, target, before, change.subCollections) })
+  }
+  return { writes, change }
+}
+
+/** Registers the one listener told about every commit's changes (see src/history.js). */
+export function onCommit(listener) {
+  commitListener = listener
+}
+
+// Commits writes together with their audit and recycle bin entries; resolves to the changes made
+async function commitWrites(ops, { history = true, atomic = false, step = null } = {}) {
+  const groups = await Promise.all(ops.map(writeGroup))
+  const total = groups.reduce((sum, group) => sum + group.writes.length, 0)
+  if (atomic && total > MAX_BATCH_WRITES) {
+    throw new Error(`Too many changes to save at once (${total} writes with their audit entries; the limit is ${MAX_BATCH_WRITES}). Nothing was saved.`)
+  }
+  // Each write stays in the same batch as its entries; very large jobs span several batches
+  let batch = firestoreWriteBatch(db)
+  let count = 0
+  for (const { writes: group } of groups) {
+    if (count > 0 && count + group.length > MAX_BATCH_WRITES) {
+      await batch.commit()
+      batch = firestoreWriteBatch(db)
+      count = 0
+    }
+    for (const op of group) {
+      if (op.type === 'set') batch.set(op.ref, op.data, op.merge ? { merge: true } : {})
+      else if (op.type === 'update') batch.update(op.ref, op.data)
+      else batch.delete(op.ref)
+    }
+    count += group.length
+  }
+  if (count > 0) await batch.commit()
+  const changes = groups.map((group) => group.change).filter(Boolean)
+  if (history && changes.length > 0) commitListener?.(changes, step)
+  return changes
+}
+
+/**
+ * Drop-in for firebase writeBatch(db): collects writes and commits them with their audit entries.
+ * Undo and redo pass { history: false } so their own writes are not recorded as new steps; { step }
+ * records the writes under an undo step shared with other commits.
+ * With { atomic: true } a batch too big for one Firestore commit is refused instead of split.
+ */
+export function writeBatch(firestore, batchOptions) {
+  const ops = []
+  const batch = {
+    set(ref, data, options) {
+      ops.push({ type: 'set', ref, data, merge: !!options?.merge })
+      return batch
+    },
+    update(ref, data) {
+      ops.push({ type: 'update', ref, data })
+      return batch
+    },
+    delete(ref, options) {
+      ops.push({ type: 'delete', ref, trash: options?.trash })
+      return batch
+    },
+    commit: () => commitWrites(ops, batchOptions),
+  }
+  return batch
+}
+
+export async function addDoc(collectionRef, data, options) {
+  const ref = doc(collectionRef)
+  // A fresh id cannot exist yet, so there is nothing to read first
+  await commitWrites([{ type: 'set', ref, data, isNew: true }], { step: options?.step })
+  return ref
+}
+
+export const setDoc = (ref, data, options) => commitWrites([{ type: 'set', ref, data, merge: !!options?.merge }], { step: options?.step })
+
+export const updateDoc = (ref, data, options) => commitWrites([{ type: 'update', ref, data }], { step: options?.step })
+
+/** Deletes a record into the recycle bin; pass { trash: false } when it is moved elsewhere in the same action. */
+export const deleteDoc = (ref, options) => commitWrites([{ type: 'delete', ref, trash: options?.trash }], { step: options?.step })
+
+// --- Recycle bin ---
+
+const trashPath = (root) => `${root}/trash`
+
+/**
+ * Puts a recycle bin entry back where it was deleted from, with its subcollections.
+ * `root` is the organisation root (artifacts/{appId}/orgs/{orgId}).
+ */
+export async function restoreFromTrash(root, entry) {
+  if (entry.path !== `${entry.collection}/${entry.docId}`) throw new Error('This recycle bin entry does not match the record it names.')
+  const ref = doc(db, `${root}/${entry.path}`)
+  if ((await getDoc(ref)).exists()) {
+    throw new Error(`A record with id ${entry.docId} already exists in ${entry.collection}.`)
+  }
+  // Not an undo step: undoing it would delete the record without putting it back in the bin
+  const batch = writeBatch(db, { history: false })
+  batch.set(ref, entry.data)
+  Object.entries(entry.subCollections || {}).forEach(([name, items]) => {
+    items.forEach(({ id, ...data }) => batch.set(doc(ref, name, id), data))
+  })
+  batch.delete(doc(db, trashPath(root), entry.id))
+  await batch.commit()
+}
+
+/**
+ * Removes recycle bin entries for good, along with the Storage files they referenced. The files are
+ * looked up in the record again, for entries binned before attachments were listed in `files`.
+ * The entries go first: if that fails they can still be restored with their files, and a file left
+ * behind by a failed cleanup only takes space.
+ */
+export async function purgeFromTrash(root, entries) {
+  const batch = writeBatch(db)
+  entries.forEach((entry) => batch.delete(doc(db, trashPath(root), entry.id)))
+  await batch.commit()
+  for (const entry of entries) {
+    const files = new Set([...(entry.files || []), ...storagePaths(entry.data, entry.subCollections || {})])
+    for (const path of files) {
+      try {
+        await deleteObject(storageRef(storage, path))
+      } catch (error) {
+        // Already gone, or never uploaded under this path
+        if (error.code !== 'storage/object-not-found') console.warn('Could not delete file:', path, error)
+      }
+    }
+  }
+}
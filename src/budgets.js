@@ -0,0 +1,116 @@
+// Budgets: planned amounts per account, year and company, compared with what the ledger shows.
+//
+// One record per account, company and year at artifacts/{appId}/orgs/{orgId}/budgets/{budgetId}:
+//   { year, mainCategory, subCategory, company, period, amount, amounts, notes }
+// `company` is a company id from the registry, or '' for the organisation as a whole. `period` says
+// how the budget was entered: 'monthly' sets each of the twelve `amounts`, 'annual' sets `amount` for
+// the year and spreads it evenly. An empty subCategory budgets the whole group.
+//
+// Actuals are measured in the account's normal direction (expenses by debits, income by credits),
+// and a variance is positive when it is favourable: spending under budget, or income over it.
+// A company's budget is compared with the entries tagged with that company in the Company dimension
+// (src/dimensions.js); the organisation's with every entry. Year-end closing entries are left out, as
+// they are in the P&L.
+import { accountTypeOf, entrySide } from './accounts.js'
+import { dimensionValue } from './dimensions.js'
+
+export const BUDGET_PERIODS = {
+  monthly: { label: 'Monthly' },
+  annual: { label: 'Annual' },
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+/** One budget per account, company and year, so saving the same combination again updates it. */
+export const budgetId = ({ year, company, mainCategory, subCategory }) =>
+  [year, company || 'all', mainCategory, subCategory || '*'].join('_').replace(/[^\w*-]+/g, '-')
+
+/** The budget for each month of its year. */
+export function monthlyAmounts(budget) {
+  if (budget.period === 'annual') {
+    const month = round2((Number(budget.amount) || 0) / 12)
+    // The last month takes the rounding, so the months add up to the annual amount
+    return [...Array(11).fill(month), round2((Number(budget.amount) || 0) - month * 11)]
+  }
+  return Array.from({ length: 12 }, (_, i) => Number(budget.amounts?.[i]) || 0)
+}
+
+const matchesBudget = (budget) => (entry) =>
+  entry.mainCategory === budget.mainCategory
+  && (!budget.subCategory || entry.subCategory === budget.subCategory)
+  && (!budget.company || dimensionValue(entry, 'company') === budget.company)
+  && !entry.yearEndClose
+
+/** Actual movement on a budget's account in each month of its year, in the account's normal direction. */
+export function monthlyActuals(budget, entries, accounts) {
+  const sign = entrySide(accounts, budget.mainCategory, budget.subCategory) === 'credit' ? -1 : 1
+  const actuals = Array(12).fill(0)
+  entries.filter(matchesBudget(budget)).forEach((entry) => {
+    const date = toDate(entry.date)
+    if (!date || isNaN(date.getTime()) || date.getUTCFullYear() !== budget.year) return
+    actuals[date.getUTCMonth()] += sign * ((Number(entry.debit) || 0) - (Number(entry.credit) || 0))
+  })
+  return actuals.map(round2)
+}
+
+const sum = (values) => round2(values.reduce((total, value) => total + value, 0))
+
+/**
+ * Budget against actual for each budget of the year, for one month (0-11) or, with month null, the
+ * whole year. Year to date runs to the end of the month, or to the end of the year.
+ * Rows: { budget, type, budgeted, actual, variance, variancePct, ytdBudgeted, ytdActual, ytdVariance, unfavourable }
+ */
+export function budgetVsActual(budgets, entries, accounts, { year, month = null, company = '' }) {
+  return budgets
+    .filter((b) => b.year === year && (b.company || '') === company)
+    .map((budget) => {
+      const type = accountTypeOf(accounts, budget.mainCategory)
+      const budgetedMonths = monthlyAmounts(budget)
+      const actualMonths = monthlyActuals(budget, entries, accounts)
+      const months = month === null ? [0, 11] : [month, month]
+      const budgeted = sum(budgetedMonths.slice(months[0], months[1] + 1))
+      const actual = sum(actualMonths.slice(months[0], months[1] + 1))
+      const ytdBudgeted = sum(budgetedMonths.slice(0, months[1] + 1))
+      const ytdActual = sum(actualMonths.slice(0, months[1] + 1))
+      // Income over budget is good news; anything else over budget is overspending
+      const favourable = (planned, spent) => round2(type === 'income' ? spent - planned : planned - spent)
+      const variance = favourable(budgeted, actual)
+      return {
+        budget,
+        type,
+        budgeted,
+        actual,
+        variance,
+        variancePct: budgeted ? round2((variance / Math.abs(budgeted)) * 100) : null,
+        ytdBudgeted,
+        ytdActual,
+        ytdVariance: favourable(ytdBudgeted, ytdActual),
+        unfavourable: variance < 0,
+      }
+    })
+}
+
+/**
+ * Cumulative expense budget and actual spending by month for a year: what the budget-burn chart
+ * plots. Actuals stop at the month of `asOf` (today) when it falls in the year; months are UTC, as
+ * in monthlyActuals.
+ */
+export function budgetBurn(budgets, entries, accounts, { year, company = '', asOf = new Date() }) {
+  const expenseBudgets = budgets.filter((b) => b.year === year && (b.company || '') === company && accountTypeOf(accounts, b.mainCategory) === 'expense')
+  const budgeted = Array(12).fill(0)
+  const actual = Array(12).fill(0)
+  expenseBudgets.forEach((budget) => {
+    monthlyAmounts(budget).forEach((amount, i) => { budgeted[i] += amount })
+    monthlyActuals(budget, entries, accounts).forEach((amount, i) => { actual[i] += amount })
+  })
+  const asOfYear = asOf.getUTCFullYear()
+  const lastMonth = year < asOfYear ? 11 : year > asOfYear ? -1 : asOf.getUTCMonth()
+  let budgetTotal = 0
+  let actualTotal = 0
+  return budgeted.map((amount, i) => {
+    budgetTotal += amount
+    actualTotal += actual[i]
+    return { month: i, budgeted: round2(budgetTotal), actual: i <= lastMonth ? round2(actualTotal) : null }
+  })
+}
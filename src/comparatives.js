@@ -0,0 +1,83 @@
+// Comparatives: the P&L and Balance Sheet for the reported period beside an earlier one, with the change
+// in amount and per cent.
+//
+// Nothing is stored; a comparison is picked in Financial Reports and works on the ledger as loaded. Periods
+// run in UTC, like fiscal periods (src/periods.js) and budgets, since entry dates are stored as UTC
+// midnight. Year to date runs from 1 January to the end of the selected month; the prior year to date
+// covers the same months a year earlier. The P&L compares each period's movements (entriesIn); the
+// Balance Sheet compares balances at the end of each period (entriesTo).
+
+export const COMPARISONS = {
+  '': { label: 'No comparison', views: ['monthly', 'yearly', 'all'] },
+  previousMonth: { label: 'vs previous month', views: ['monthly'] },
+  previousYear: { label: 'vs previous year', views: ['yearly'] },
+  ytd: { label: 'Year to date vs prior year to date', views: ['monthly'] },
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+/** The comparisons on offer for a report view. */
+export const comparisonsFor = (view) => Object.keys(COMPARISONS).filter((key) => COMPARISONS[key].views.includes(view))
+
+/**
+ * The current and prior periods of a comparison, for a year and month (0-11):
+ * { current: { from, to, label }, prior: { from, to, label } }, with `to` the last day included.
+ * Returns null without a comparison.
+ */
+export function comparisonPeriods(comparison, { year, month }) {
+  const period = (fromYear, fromMonth, toYear, toMonth, label) => ({ from: new Date(Date.UTC(fromYear, fromMonth, 1)), to: new Date(Date.UTC(toYear, toMonth + 1, 0)), label })
+  switch (comparison) {
+    case 'previousMonth': {
+      const priorYear = month === 0 ? year - 1 : year
+      const priorMonth = (month + 11) % 12
+      return {
+        current: period(year, month, year, month, `${MONTHS[month]} ${year}`),
+        prior: period(priorYear, priorMonth, priorYear, priorMonth, `${MONTHS[priorMonth]} ${priorYear}`),
+      }
+    }
+    case 'previousYear':
+      return { current: period(year, 0, year, 11, String(year)), prior: period(year - 1, 0, year - 1, 11, String(year - 1)) }
+    case 'ytd': {
+      const span = (y) => (month === 0 ? `Jan ${y}` : `Jan–${MONTHS[month]} ${y}`)
+      return { current: period(year, 0, year, month, `YTD ${span(year)}`), prior: period(year - 1, 0, year - 1, month, `YTD ${span(year - 1)}`) }
+    }
+    default:
+      return null
+  }
+}
+
+const dayAfter = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+
+const datedBetween = (entries, from, end) => entries.filter((entry) => {
+  const date = toDate(entry.date)
+  return date && !isNaN(date.getTime()) && (!from || date >= from) && date < end
+})
+
+/** The entries dated within a period, from its first day to the end of its last. */
+export const entriesIn = (entries, { from, to }) => datedBetween(entries, from, dayAfter(to))
+
+/** The entries dated up to the end of a period's last day, whose balances the Balance Sheet shows. */
+export const entriesTo = (entries, { to }) => datedBetween(entries, null, dayAfter(to))
+
+/** The change from a prior amount: { change, changePct }, with changePct null when there was nothing before. */
+export function changeFrom(amount, prior) {
+  const change = round2(amount - prior)
+  return { change, changePct: Math.abs(prior) > 0.001 ? round2((change / Math.abs(prior)) * 100) : null }
+}
+
+/**
+ * Report rows ({ key, particulars, amount }) of the two periods side by side, matched on `key`:
+ * [{ key, particulars, amount, prior, change, changePct }]. Accounts with activity in only one period
+ * show nothing in the other; those only in the prior period come last.
+ */
+export function compareRows(currentRows, priorRows) {
+  const priorByKey = new Map(priorRows.map((row) => [row.key, row]))
+  const currentKeys = new Set(currentRows.map((row) => row.key))
+  return [
+    ...currentRows.map((row) => ({ ...row, prior: priorByKey.get(row.key)?.amount || 0 })),
+    ...priorRows.filter((row) => !currentKeys.has(row.key)).map((row) => ({ ...row, amount: 0, prior: row.amount })),
+  ].map((row) => ({ ...row, ...changeFrom(row.amount, row.prior) }))
+}
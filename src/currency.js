@@ -0,0 +1,158 @@
+// Multi-currency: transaction currencies, the exchange-rate table and conversion to the base currency.
+//
+// Rates at artifacts/{appId}/orgs/{orgId}/exchangeRates/{rateId}:
+//   { currency, rate, date, source, notes }
+// `rate` is how many QAR one unit of `currency` buys from `date` on. A transaction uses the latest
+// rate dated on or before it; `source` is 'manual' or 'import'.
+//
+// A record in a foreign currency (ledger entry, DB6 entry, visa P&L entry or statement item) keeps
+// its usual amount fields in QAR, so totals and reports need no conversion, and adds
+//   { currency, exchangeRate, foreignAmounts: { [amountField]: amount in `currency` } }
+// Records without `currency`, including everything saved before currencies existed, are in QAR.
+
+export const BASE_CURRENCY = 'QAR'
+
+export const CURRENCIES = {
+  QAR: 'Qatari Riyal',
+  USD: 'US Dollar',
+  INR: 'Indian Rupee',
+  NPR: 'Nepalese Rupee',
+  BDT: 'Bangladeshi Taka',
+  PKR: 'Pakistani Rupee',
+  LKR: 'Sri Lankan Rupee',
+  PHP: 'Philippine Peso',
+  KES: 'Kenyan Shilling',
+  EGP: 'Egyptian Pound',
+  SAR: 'Saudi Riyal',
+  AED: 'UAE Dirham',
+  EUR: 'Euro',
+  GBP: 'Pound Sterling',
+}
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES)
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+export const isForeign = (record) => !!record?.currency && record.currency !== BASE_CURRENCY
+
+/** The rate for a currency on a date: the latest one dated on or before it, else the earliest known. */
+export function rateOn(rates, currency, date = new Date()) {
+  if (!currency || currency === BASE_CURRENCY) return 1
+  const on = toDate(date) || new Date()
+  const known = rates.filter((r) => r.currency === currency && Number(r.rate) > 0).sort((a, b) => toDate(a.date) - toDate(b.date))
+  if (known.length === 0) return null
+  const applicable = known.filter((r) => toDate(r.date) <= on)
+  return Number((applicable.length > 0 ? applicable[applicable.length - 1] : known[0]).rate)
+}
+
+/**
+ * Converts form values whose amount fields are in `currency` into the stored shape: amounts in QAR
+ * plus the currency fields. QAR values get currency QAR, rate 1 and no foreign amounts.
+ */
+export function withCurrency(values, amountFields, currency = BASE_CURRENCY, exchangeRate = 1) {
+  const result = { ...values }
+  if (!currency || currency === BASE_CURRENCY) {
+    amountFields.forEach((field) => { result[field] = Number(values[field]) || 0 })
+    return { ...result, currency: BASE_CURRENCY, exchangeRate: 1, foreignAmounts: null }
+  }
+  const rate = Number(exchangeRate)
+  const foreignAmounts = {}
+  amountFields.forEach((field) => {
+    foreignAmounts[field] = Number(values[field]) || 0
+    result[field] = round2(foreignAmounts[field] * rate)
+  })
+  return { ...result, currency, exchangeRate: rate, foreignAmounts }
+}
+
+/** The record as it was entered: amount fields in its own currency, with currency and rate filled in. */
+export function foreignValues(record, amountFields) {
+  const result = { ...record, currency: record.currency || BASE_CURRENCY, exchangeRate: record.exchangeRate || 1 }
+  if (isForeign(record) && record.foreignAmounts) {
+    amountFields.forEach((field) => {
+      if (record.foreignAmounts[field] !== undefined) result[field] = record.foreignAmounts[field]
+    })
+  }
+  return result
+}
+
+/** "USD 100.00 @ 3.6400" for a foreign record's amount field, or '' for QAR records. */
+export function foreignLabel(record, field) {
+  if (!isForeign(record) || !record.foreignAmounts) return ''
+  const amount = Number(record.foreignAmounts[field]) || 0
+  return `${record.currency} ${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} @ ${Number(record.exchangeRate).toFixed(4)}`
+}
+
+/**
+ * Rates from spreadsheet rows (CSV or Excel): a header row naming currency, rate and date columns,
+ * then one rate per row. Rows with an unknown currency or no positive rate are skipped.
+ */
+export function ratesFromRows(rows, parseDate) {
+  const headerIndex = rows.findIndex((row) => row.some((c) => /currency|code/i.test(String(c))) && row.some((c) => /rate/i.test(String(c))))
+  if (headerIndex === -1) throw new Error('The file needs Currency and Rate columns (and optionally Date).')
+  const header = rows[headerIndex].map((c) => String(c).trim().toLowerCase())
+  const col = (pattern) => header.findIndex((h) => pattern.test(h))
+  const currencyCol = col(/currency|code/)
+  const rateCol = col(/rate/)
+  const dateCol = col(/date|effective/)
+  return rows.slice(headerIndex + 1).map((row) => ({
+    currency: String(row[currencyCol] || '').trim().toUpperCase(),
+    rate: Number(String(row[rateCol] ?? '').replace(/,/g, '')),
+    date: dateCol === -1 ? new Date() : parseDate(row[dateCol]),
+  })).filter((r) => CURRENCIES[r.currency] && r.currency !== BASE_CURRENCY && r.rate > 0 && r.date)
+}
+
+/**
+ * Realised exchange gains and losses on ledger accounts carried in a foreign currency.
+ * Each account and currency keeps its open foreign balance at average cost; an entry that reduces
+ * that balance settles part of it, and the difference between its cost and what the settlement
+ * was booked at is realised. Returns one event per settling entry:
+ *   { entryId, date, mainCategory, subCategory, currency, foreignSettled, gain }
+ * where a positive gain is income. Entries must be the full ledger, not one period of it.
+ */
+export function realisedFxEvents(entries) {
+  const positions = {}
+  const events = []
+  entries
+    .filter((e) => isForeign(e) && e.foreignAmounts)
+    .sort((a, b) => toDate(a.date) - toDate(b.date))
+    .forEach((entry) => {
+      const key = `${entry.mainCategory}|${entry.subCategory}|${entry.currency}`
+      const position = positions[key] || (positions[key] = { foreign: 0, base: 0 })
+      const foreign = (Number(entry.foreignAmounts.debit) || 0) - (Number(entry.foreignAmounts.credit) || 0)
+      const base = (Number(entry.debit) || 0) - (Number(entry.credit) || 0)
+      if (!foreign) return
+      if (position.foreign && Math.sign(foreign) !== Math.sign(position.foreign)) {
+        const settled = Math.min(Math.abs(foreign), Math.abs(position.foreign))
+        const costRelieved = position.base * (settled / Math.abs(position.foreign))
+        const settlementBase = base * (settled / Math.abs(foreign))
+        const gain = round2(-(costRelieved + settlementBase))
+        if (gain) {
+          events.push({ entryId: entry.id, date: entry.date, mainCategory: entry.mainCategory, subCategory: entry.subCategory, currency: entry.currency, foreignSettled: settled, gain })
+        }
+        position.foreign += Math.sign(foreign) * settled
+        position.base -= costRelieved
+        // Anything beyond the open balance starts a new position the other way
+        const remainder = Math.abs(foreign) - settled
+        if (remainder > 0) {
+          position.foreign += Math.sign(foreign) * remainder
+          position.base += base * (remainder / Math.abs(foreign))
+        }
+      } else {
+        position.foreign += foreign
+        position.base += base
+      }
+      if (Math.abs(position.foreign) < 0.005) position.foreign = position.base = 0
+    })
+  return events
+}
+
+/**
+ * Realised gain when a foreign DB6 entry is settled at settlementRate: a debit (owed to us) gains
+ * when the currency has strengthened since it was booked, a credit (owed by us) loses.
+ */
+export function settlementGain(record, settlementRate) {
+  if (!isForeign(record) || !record.foreignAmounts || !(settlementRate > 0)) return 0
+  const foreign = (Number(record.foreignAmounts.debit) || 0) - (Number(record.foreignAmounts.credit) || 0)
+  return round2(foreign * (settlementRate - Number(record.exchangeRate)))
+}
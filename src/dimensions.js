@@ -0,0 +1,96 @@
+// Dimensions: tags on ledger entries, so the P&L can be cut by company, vehicle, employee, project and so on.
+//
+// The organisation's dimensions are at artifacts/{appId}/orgs/{orgId}/ledgerSettings/dimensions:
+//   { dimensions: [{ id, label, source, values, active }] }
+// `source` says where a dimension's choices come from: 'companies' (the company registry, stored by
+// company id), 'employees' (every company's employees, by name) or 'list' (its own `values`, though
+// any text can be typed). Until the organisation saves its own, DEFAULT_DIMENSIONS apply.
+//
+// An entry keeps its tags in `dimensions: { [dimensionId]: value }`, without the ones it has no value for.
+// Entries saved before dimensions carried a vehicle in their particulars as " (Vehicle: ...)", and some
+// a top-level `company`; they count under those values until migrateEntry moves them into `dimensions`.
+
+export const DIMENSION_SOURCES = {
+  companies: { label: 'Company registry' },
+  employees: { label: 'Employees' },
+  list: { label: 'Own list' },
+}
+
+export const DEFAULT_DIMENSIONS = [
+  { id: 'company', label: 'Company', source: 'companies', values: [], active: true },
+  { id: 'vehicle', label: 'Vehicle', source: 'list', values: [], active: true },
+  { id: 'employee', label: 'Employee', source: 'employees', values: [], active: true },
+  { id: 'project', label: 'Project', source: 'list', values: [], active: true },
+]
+
+const VEHICLE_SUFFIX = / \(Vehicle: (.*)\)$/
+
+/** A new dimension's id from its label: "Cost Centre" becomes costCentre. */
+export function dimensionId(label, existing = []) {
+  const base = String(label).trim().toLowerCase().replace(/[^a-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')) || 'dimension'
+  let id = base
+  for (let n = 2; existing.some((d) => d.id === id); n++) id = `${base}${n}`
+  return id
+}
+
+/** Particulars without an old " (Vehicle: ...)" suffix, and the vehicle it named ('' if none). */
+export function splitVehicleSuffix(particulars = '') {
+  const match = String(particulars).match(VEHICLE_SUFFIX)
+  return match ? { particulars: particulars.replace(VEHICLE_SUFFIX, ''), vehicle: match[1].trim() } : { particulars, vehicle: '' }
+}
+
+/** An entry's tags, reading the old vehicle suffix and `company` field of entries not yet migrated. */
+export function entryDimensions(entry) {
+  if (entry.dimensions) return entry.dimensions
+  const legacy = {}
+  if (entry.company) legacy.company = entry.company
+  const { vehicle } = splitVehicleSuffix(entry.particulars)
+  if (vehicle) legacy.vehicle = vehicle
+  return legacy
+}
+
+export const dimensionValue = (entry, id) => entryDimensions(entry)[id] || ''
+
+/** Tags as stored: trimmed, and without empty values. */
+export function cleanDimensions(values = {}) {
+  return Object.fromEntries(Object.entries(values)
+    .map(([id, value]) => [id, String(value ?? '').trim()])
+    .filter(([, value]) => value))
+}
+
+export const needsMigration = (entry) => !entry.dimensions && (!!entry.company || !!splitVehicleSuffix(entry.particulars).vehicle)
+
+/** The update that moves an entry's old vehicle suffix and `company` into `dimensions`. */
+export function migrateEntry(entry) {
+  const { particulars } = splitVehicleSuffix(entry.particulars)
+  return { particulars, dimensions: cleanDimensions(entryDimensions(entry)) }
+}
+
+/** The values used for a dimension across the entries, sorted, for suggestions and report columns. */
+export function usedValues(entries, id) {
+  return [...new Set(entries.map((e) => dimensionValue(e, id)).filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+}
+
+/**
+ * Income and expense by account across the values of one dimension.
+ * typeOf(mainCategory) gives an account group's type; amounts are in the account's normal direction.
+ * Returns { columns, rows: [{ mainCategory, subCategory, type, amounts: { [value]: amount }, total }] },
+ * where columns are the values found plus '' for untagged entries.
+ */
+export function pivotByDimension(entries, id, typeOf) {
+  const rows = {}
+  const columns = new Set()
+  entries.forEach((entry) => {
+    const type = typeOf(entry.mainCategory)
+    if (type !== 'income' && type !== 'expense') return
+    const value = dimensionValue(entry, id)
+    const key = `${entry.mainCategory}|${entry.subCategory || ''}`
+    const row = rows[key] || (rows[key] = { mainCategory: entry.mainCategory, subCategory: entry.subCategory || '', type, amounts: {}, total: 0 })
+    const amount = type === 'income' ? (Number(entry.credit) || 0) - (Number(entry.debit) || 0) : (Number(entry.debit) || 0) - (Number(entry.credit) || 0)
+    row.amounts[value] = (row.amounts[value] || 0) + amount
+    row.total += amount
+    columns.add(value)
+  })
+  const sorted = [...columns].filter(Boolean).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  return { columns: columns.has('') ? [...sorted, ''] : sorted, rows: Object.values(rows) }
+}
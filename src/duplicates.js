@@ -0,0 +1,109 @@
+// Duplicate detection: ledger entries that look like the same transaction posted twice, typically once by
+// hand and again through an import.
+//
+// Two entries are likely duplicates when they fall on the same day (in UTC, the way ledger dates are stored),
+// have the same debit and the same credit, and particulars at least SIMILARITY_THRESHOLD alike. Lines of one
+// journal voucher are never duplicates of each other.
+//
+// Pairs someone has reviewed and kept are remembered at artifacts/{appId}/orgs/{orgId}/ledgerSettings/duplicates:
+//   { keptPairs: ['idA|idB'] }   (each pair's ids in sorted order)
+// so they are not flagged again.
+import { splitVehicleSuffix } from './dimensions.js'
+
+export const SIMILARITY_THRESHOLD = 0.6
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+/** Particulars compared without case, punctuation or an old " (Vehicle: ...)" suffix. */
+export function normaliseParticulars(text = '') {
+  return splitVehicleSuffix(String(text || '')).particulars.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+}
+
+const bigrams = (text) => {
+  const grams = new Map()
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2)
+    grams.set(gram, (grams.get(gram) || 0) + 1)
+  }
+  return grams
+}
+
+/** How alike two particulars are, from 0 to 1 (the Dice coefficient of their letter pairs). */
+export function particularsSimilarity(a, b) {
+  const x = normaliseParticulars(a)
+  const y = normaliseParticulars(b)
+  if (x === y) return 1
+  if (x.length < 2 || y.length < 2) return 0
+  const gramsX = bigrams(x)
+  const gramsY = bigrams(y)
+  let shared = 0
+  gramsX.forEach((count, gram) => { shared += Math.min(count, gramsY.get(gram) || 0) })
+  return (2 * shared) / (x.length - 1 + y.length - 1)
+}
+
+/** The day and amounts an entry is matched on, or null when it has no valid date. */
+export function duplicateKey(entry) {
+  const date = toDate(entry.date)
+  if (!date || isNaN(date.getTime())) return null
+  return `${date.toISOString().slice(0, 10)}|${round2(Number(entry.debit) || 0)}|${round2(Number(entry.credit) || 0)}`
+}
+
+export const pairKey = (a, b) => [a, b].sort().join('|')
+
+const isMatch = (entry, other, kept, threshold) => {
+  if (entry.id && entry.id === other.id) return null
+  if (entry.voucherId && entry.voucherId === other.voucherId) return null
+  if (entry.id && other.id && kept.has(pairKey(entry.id, other.id))) return null
+  const similarity = particularsSimilarity(entry.particulars, other.particulars)
+  return similarity >= threshold ? { entry: other, similarity } : null
+}
+
+const byKey = (entries) => {
+  const index = new Map()
+  entries.forEach((entry) => {
+    const key = duplicateKey(entry)
+    if (!key) return
+    if (!index.has(key)) index.set(key, [])
+    index.get(key).push(entry)
+  })
+  return index
+}
+
+/** The entries that `entry` is likely a duplicate of, most alike first: [{ entry, similarity }]. */
+export function findDuplicates(entry, entries, { kept = new Set(), threshold = SIMILARITY_THRESHOLD } = {}) {
+  const key = duplicateKey(entry)
+  if (!key) return []
+  return entries
+    .filter((other) => duplicateKey(other) === key)
+    .map((other) => isMatch(entry, other, kept, threshold))
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity)
+}
+
+/**
+ * The incoming entries that look like duplicates of an existing entry or of an incoming one before them:
+ * [{ entry, matches: [{ entry, similarity }] }]. Incoming entries need ids, so the ones kept can be remembered.
+ */
+export function flagDuplicates(incoming, existing = [], { kept = new Set(), threshold = SIMILARITY_THRESHOLD } = {}) {
+  const index = byKey(existing)
+  const flagged = []
+  incoming.forEach((entry) => {
+    const key = duplicateKey(entry)
+    if (!key) return
+    const candidates = index.get(key) || []
+    const matches = candidates
+      .map((other) => isMatch(entry, other, kept, threshold))
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity)
+    if (matches.length > 0) flagged.push({ entry, matches })
+    index.set(key, [...candidates, entry])
+  })
+  return flagged
+}
+
+/** Every likely duplicate in the ledger. The first of each set, in the order given, is taken as the original. */
+export const scanDuplicates = (entries, options) => flagDuplicates(entries, [], options)
+
+/** The pairs to remember when flagged entries are kept. */
+export const keptPairsOf = (items) => items.flatMap(({ entry, matches }) => matches.filter((m) => m.entry.id).map((m) => pairKey(entry.id, m.entry.id)))
@@ -0,0 +1,107 @@
+// Undo/redo for data changes. src/audit.js reports every audited commit with the state each
+// document had before it; undo writes those states back (deleted records come back with their
+// subcollections and leave the recycle bin), redo replays the original writes.
+//
+// A step is one commit, or every commit made with the same step from createStep(): App gives one
+// to each confirmed action (bulk deletes, settlements, imports), which passes it as { step } to its
+// writes. A step is undone in one batch, so it rolls back atomically unless it touched more
+// documents than a Firestore batch allows.
+// Undo restores the earlier state even if someone else has edited the record since.
+import { doc } from 'firebase/firestore'
+import { db } from './firebase'
+import { AUDIT_ACTIONS, onCommit, writeBatch } from './audit'
+
+export const HISTORY_LIMIT = 50
+
+let undoStack = []
+let redoStack = []
+let nextStepId = 1
+const listeners = new Set()
+
+const snapshot = () => ({ undo: undoStack, redo: redoStack })
+const notify = () => listeners.forEach((listener) => listener(snapshot()))
+
+/** "Deleted 3 Ledger records", "Updated 1 Employees record, Created 2 Vehicles records" */
+export function describeChanges(changes) {
+  const counts = new Map()
+  changes.forEach(({ action, module }) => {
+    const key = `${action}|${module}`
+    counts.set(key, (counts.get(key) || 0) + 1)
+  })
+  return [...counts].map(([key, count]) => {
+    const [action, module] = key.split('|')
+    return `${AUDIT_ACTIONS[action]} ${count} ${module} record${count === 1 ? '' : 's'}`
+  }).join(', ')
+}
+
+/** A new undo step named `label`; the writes given it as { step } are undone and redone together. */
+export const createStep = (label) => ({ id: nextStepId++, label })
+
+onCommit((changes, step) => {
+  // Later commits of a step join it, even if another step was recorded in between
+  const recorded = step && undoStack.find((s) => s.id === step.id)
+  if (recorded) {
+    const all = [...recorded.changes, ...changes]
+    undoStack = undoStack.map((s) => (s === recorded ? { ...s, summary: describeChanges(all), changes: all } : s))
+  } else {
+    undoStack = [{ id: step?.id ?? nextStepId++, label: step?.label || describeChanges(changes), summary: describeChanges(changes), at: new Date(), changes }, ...undoStack].slice(0, HISTORY_LIMIT)
+  }
+  redoStack = []
+  notify()
+})
+
+export function subscribeHistory(listener) {
+  listeners.add(listener)
+  listener(snapshot())
+  return () => listeners.delete(listener)
+}
+
+/** Forgets all steps, e.g. when switching organisation or signing out. */
+export function clearHistory() {
+  undoStack = []
+  redoStack = []
+  notify()
+}
+
+/** Undoes the most recent step; resolves to it, or null when there is nothing to undo. */
+export async function undo() {
+  const [step, ...rest] = undoStack
+  if (!step) return null
+  const batch = writeBatch(db, { history: false })
+  // The first write to a document within the step holds its state from before the step
+  const restored = new Set()
+  for (const { op, before, subCollections, trashRef } of step.changes) {
+    if (!restored.has(op.ref.path)) {
+      restored.add(op.ref.path)
+      if (before) batch.set(op.ref, before)
+      else batch.delete(op.ref, { trash: false })
+    }
+    Object.entries(subCollections).forEach(([name, items]) => {
+      items.forEach(({ id, ...data }) => batch.set(doc(op.ref, name, id), data))
+    })
+    if (trashRef) batch.delete(trashRef)
+  }
+  await batch.commit()
+  undoStack = rest
+  redoStack = [step, ...redoStack]
+  notify()
+  return step
+}
+
+/** Redoes the most recently undone step; resolves to it, or null when there is nothing to redo. */
+export async function redo() {
+  const [step, ...rest] = redoStack
+  if (!step) return null
+  const batch = writeBatch(db, { history: false })
+  step.changes.forEach(({ op }) => {
+    if (op.type === 'set') batch.set(op.ref, op.data, op.merge ? { merge: true } : undefined)
+    else if (op.type === 'update') batch.update(op.ref, op.data)
+    else batch.delete(op.ref, { trash: op.trash })
+  })
+  // Replaying creates new recycle bin entries, so keep the changes this commit reports
+  const changes = await batch.commit()
+  redoStack = rest
+  undoStack = [{ ...step, changes }, ...undoStack].slice(0, HISTORY_LIMIT)
+  notify()
+  return step
+}
@@ -0,0 +1,113 @@
+// Ledger queries: the General Ledger's filter builder, and filter sets saved by name.
+//
+// Saved sets are shared by the organisation at artifacts/{appId}/orgs/{orgId}/pageSettings/ledgerQueries:
+//   { queries: [{ name, filters, savedBy, savedAt }] }
+// `filters` has the shape of EMPTY_FILTERS. Dates are dd/mm/yyyy as typed; `accounts` holds
+// "mainCategory|subCategory" keys, where an empty sub category takes the whole group; `dimensions`
+// maps a dimension id to the value wanted (src/dimensions.js). Empty fields do not filter.
+import { dimensionValue } from './dimensions.js'
+
+export const EMPTY_FILTERS = {
+  from: '',
+  to: '',
+  minAmount: '',
+  maxAmount: '',
+  accounts: [],
+  side: '',
+  partner: '',
+  attachment: '',
+  reconciliation: '',
+  dimensions: {},
+}
+
+export const SIDE_OPTIONS = { '': 'Debits and credits', debit: 'Debit only', credit: 'Credit only' }
+export const ATTACHMENT_OPTIONS = { '': 'Any', with: 'With attachment', without: 'Without attachment' }
+export const RECONCILIATION_OPTIONS = { '': 'Any', reconciled: 'Reconciled', unreconciled: 'Not reconciled' }
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const filled = (value) => value !== '' && value !== null && value !== undefined
+
+export const accountKey = (mainCategory, subCategory = '') => `${mainCategory}|${subCategory || ''}`
+
+/** The filters with every empty field dropped, as they are saved. */
+export function normaliseFilters(filters = {}) {
+  const dimensions = Object.fromEntries(Object.entries(filters.dimensions || {}).filter(([, value]) => filled(value)))
+  return { ...EMPTY_FILTERS, ...filters, accounts: [...new Set(filters.accounts || [])], dimensions }
+}
+
+/** How many of the filters are set. */
+export function activeFilterCount(filters) {
+  const f = normaliseFilters(filters)
+  return ['from', 'to', 'minAmount', 'maxAmount', 'side', 'partner', 'attachment', 'reconciliation'].filter((key) => filled(f[key])).length
+    + (f.accounts.length > 0 ? 1 : 0)
+    + Object.keys(f.dimensions).length
+}
+
+/** The date range's start, or null when the filters have no From date. */
+export const rangeStart = (filters, parseDate) => (filters.from ? parseDate(filters.from) : null)
+
+/**
+ * A predicate for the filters. parseDate reads a dd/mm/yyyy date; statusOf(entry) gives an entry's
+ * reconciliation status ('reconciled', 'matched', 'unreconciled', or null when its account is not
+ * reconciled). Anything short of 'reconciled' counts as not reconciled. A To date includes the whole of that day.
+ */
+export function entryMatcher(filters, { parseDate, statusOf = () => null }) {
+  const f = normaliseFilters(filters)
+  const from = f.from ? parseDate(f.from) : null
+  const toDay = f.to ? parseDate(f.to) : null
+  const to = toDay ? new Date(toDay.getTime() + 24 * 60 * 60 * 1000) : null
+  const min = filled(f.minAmount) ? Number(f.minAmount) : null
+  const max = filled(f.maxAmount) ? Number(f.maxAmount) : null
+  const accounts = new Set(f.accounts)
+  const partner = f.partner.trim().toLowerCase()
+
+  return (entry) => {
+    const date = toDate(entry.date)
+    if ((from || to) && (!date || isNaN(date.getTime()))) return false
+    if (from && date < from) return false
+    if (to && date >= to) return false
+    const debit = Number(entry.debit) || 0
+    const credit = Number(entry.credit) || 0
+    const amount = Math.max(debit, credit)
+    if (min !== null && amount < min) return false
+    if (max !== null && amount > max) return false
+    if (f.side === 'debit' && !(debit > 0)) return false
+    if (f.side === 'credit' && !(credit > 0)) return false
+    if (accounts.size > 0 && !accounts.has(accountKey(entry.mainCategory, entry.subCategory)) && !accounts.has(accountKey(entry.mainCategory))) return false
+    if (partner && !`${entry.partnerName || ''} ${entry.particulars || ''}`.toLowerCase().includes(partner)) return false
+    const hasAttachment = (entry.attachments || []).length > 0
+    if (f.attachment === 'with' && !hasAttachment) return false
+    if (f.attachment === 'without' && hasAttachment) return false
+    if (f.reconciliation) {
+      const reconciled = statusOf(entry) === 'reconciled'
+      if (f.reconciliation === 'reconciled' ? !reconciled : reconciled) return false
+    }
+    return Object.entries(f.dimensions).every(([id, value]) => dimensionValue(entry, id) === value)
+  }
+}
+
+/**
+ * The filters in words, one line each, for exports and print headings. labelOf(dimensionId, value)
+ * gives a dimension and value's display names as [dimension, value].
+ */
+export function describeFilters(filters, labelOf = (id, value) => [id, value]) {
+  const f = normaliseFilters(filters)
+  const lines = []
+  if (f.from || f.to) lines.push(`Dates: ${f.from || 'start'} to ${f.to || 'today'}`)
+  if (filled(f.minAmount) || filled(f.maxAmount)) lines.push(`Amount: ${filled(f.minAmount) ? f.minAmount : '0'} to ${filled(f.maxAmount) ? f.maxAmount : 'any'}`)
+  if (f.accounts.length > 0) lines.push(`Accounts: ${f.accounts.map((key) => { const [main, sub] = key.split('|'); return sub ? `${sub} (${main})` : `All of ${main}` }).join(', ')}`)
+  if (f.side) lines.push(SIDE_OPTIONS[f.side])
+  if (f.partner.trim()) lines.push(`Partner / name contains "${f.partner.trim()}"`)
+  if (f.attachment) lines.push(ATTACHMENT_OPTIONS[f.attachment])
+  if (f.reconciliation) lines.push(RECONCILIATION_OPTIONS[f.reconciliation])
+  Object.entries(f.dimensions).forEach(([id, value]) => {
+    const [dimension, label] = labelOf(id, value)
+    lines.push(`${dimension}: ${label}`)
+  })
+  return lines
+}
+
+/** The saved sets with `query` added, replacing one of the same name. */
+export function withSavedQuery(queries, query) {
+  return [...queries.filter((q) => q.name.toLowerCase() !== query.name.toLowerCase()), query].sort((a, b) => a.name.localeCompare(b.name))
+}
@@ -0,0 +1,182 @@
+// Organisation workspace: shared data root, members and invitations.
+//
+// Layout (all under artifacts/{appId}):
+//   orgs/{orgId}                  { name, ownerUid, createdAt }
+//   orgs/{orgId}/members/{uid}    { role, email, displayName, joinedAt }
+//   orgs/{orgId}/<collections>    shared business data (ledgerQatar, alMarriData, ...)
+//   invitations/{email}           { orgId, orgName, role, invitedBy, invitedAt }
+//   users/{uid}                   { orgId } plus private per-user settings
+//
+// firestore.rules enforces the same roles; keep ORG_ROLES and the rules in sync.
+import { doc, getDoc, getDocs, collection, writeBatch, deleteDoc, updateDoc, setDoc, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase'
+
+export const ORG_ROLES = {
+  owner: { label: 'Owner', description: 'Full access, manages members and company settings' },
+  accountant: { label: 'Accountant', description: 'Ledger, reports, debts, statements and business sections' },
+  hr: { label: 'HR / PRO', description: 'Employees, vehicles, documents, credentials and visas' },
+  clerk: { label: 'Ledger Clerk', description: 'Posts ledger entries, which owners or accountants approve' },
+  viewer: { label: 'Read-only', description: 'Can view everything but change nothing' },
+}
+
+const BATCH_LIMIT = 400
+
+export const orgPath = (appId, orgId) => `artifacts/${appId}/orgs/${orgId}`
+export const personalPath = (appId, uid) => `artifacts/${appId}/users/${uid}`
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase()
+const invitationRef = (appId, email) => doc(db, `artifacts/${appId}/invitations/${normaliseEmail(email)}`)
+const memberRef = (appId, orgId, uid) => doc(db, `${orgPath(appId, orgId)}/members/${uid}`)
+
+async function readMembership(appId, orgId, uid) {
+  try {
+    const snap = await getDoc(memberRef(appId, orgId, uid))
+    return snap.exists() ? snap.data() : null
+  } catch (e) {
+    // Rules deny reads of orgs we were removed from
+    return null
+  }
+}
+
+async function loadWorkspace(appId, orgId, role) {
+  const orgSnap = await getDoc(doc(db, orgPath(appId, orgId)))
+  return { orgId, role, orgName: orgSnap.exists() ? orgSnap.data().name || '' : '' }
+}
+
+export async function getPendingInvitation(appId, email) {
+  if (!email) return null
+  try {
+    const snap = await getDoc(invitationRef(appId, email))
+    return snap.exists() ? { email: snap.id, ...snap.data() } : null
+  } catch (e) {
+    return null
+  }
+}
+
+export async function acceptInvitation(appId, user, invitation) {
+  const batch = writeBatch(db)
+  batch.set(memberRef(appId, invitation.orgId, user.uid), {
+    role: invitation.role,
+    email: normaliseEmail(user.email),
+    displayName: user.displayName || '',
+    invitedBy: invitation.invitedBy || null,
+    joinedAt: serverTimestamp(),
+  })
+  batch.set(doc(db, personalPath(appId, user.uid)), { orgId: invitation.orgId }, { merge: true })
+  batch.delete(invitationRef(appId, invitation.email))
+  await batch.commit()
+  return loadWorkspace(appId, invitation.orgId, invitation.role)
+}
+
+// A user's own organisation always uses their uid as orgId, so it can be re-found without a lookup
+async function createOrganisation(appId, user) {
+  const orgId = user.uid
+  const batch = writeBatch(db)
+  batch.set(doc(db, orgPath(appId, orgId)), {
+    name: user.displayName ? `${user.displayName}'s Organisation` : 'My Organisation',
+    ownerUid: user.uid,
+    createdAt: serverTimestamp(),
+  })
+  batch.set(memberRef(appId, orgId, user.uid), {
+    role: 'owner',
+    email: normaliseEmail(user.email),
+    displayName: user.displayName || '',
+    joinedAt: serverTimestamp(),
+  })
+  batch.set(doc(db, personalPath(appId, user.uid)), { orgId }, { merge: true })
+  await batch.commit()
+  return loadWorkspace(appId, orgId, 'owner')
+}
+
+/**
+ * Works out which organisation the signed-in user works in.
+ * Order: the org on their profile, their own org, a pending invitation, else a new org they own.
+ */
+export async function resolveWorkspace(appId, user) {
+  const profileSnap = await getDoc(doc(db, personalPath(appId, user.uid)))
+  const profileOrgId = profileSnap.exists() ? profileSnap.data().orgId : null
+
+  for (const orgId of [...new Set([profileOrgId, user.uid].filter(Boolean))]) {
+    const membership = await readMembership(appId, orgId, user.uid)
+    if (membership) {
+      if (orgId !== profileOrgId) {
+        await setDoc(doc(db, personalPath(appId, user.uid)), { orgId }, { merge: true })
+      }
+      return loadWorkspace(appId, orgId, membership.role)
+    }
+  }
+
+  const invitation = await getPendingInvitation(appId, user.email)
+  if (invitation) return acceptInvitation(appId, user, invitation)
+
+  return createOrganisation(appId, user)
+}
+
+export async function inviteMember(appId, { orgId, orgName, email, role, invitedBy }) {
+  const normalised = normaliseEmail(email)
+  if (!normalised || !normalised.includes('@')) throw new Error('Enter a valid email address.')
+  if (!ORG_ROLES[role]) throw new Error(`Unknown role "${role}".`)
+  try {
+    await setDoc(invitationRef(appId, normalised), {
+      orgId,
+      orgName: orgName || '',
+      role,
+      invitedBy,
+      invitedAt: serverTimestamp(),
+    })
+  } catch (e) {
+    // Rules refuse to overwrite another organisation's pending invitation
+    if (e.code === 'permission-denied') throw new Error(`${normalised} already has a pending invitation from another organisation.`)
+    throw e
+  }
+}
+
+export const revokeInvitation = (appId, email) => deleteDoc(invitationRef(appId, email))
+
+export const updateMemberRole = (appId, orgId, uid, role) => updateDoc(memberRef(appId, orgId, uid), { role })
+
+export const removeMember = (appId, orgId, uid) => deleteDoc(memberRef(appId, orgId, uid))
+
+export const renameOrganisation = (appId, orgId, name) => updateDoc(doc(db, orgPath(appId, orgId)), { name })
+
+/**
+ * Copies collections (and employee `documents` sub-collections) from one data root to another.
+ * Existing documents with the same id in the target are overwritten. Returns the number of documents copied.
+ */
+export async function copyWorkspaceData(fromRoot, toRoot, { collections = [], documents = [], subCollections = {} }) {
+  let batch = writeBatch(db)
+  let pending = 0
+  let copied = 0
+
+  const queueWrite = async (path, data) => {
+    batch.set(doc(db, path), data)
+    pending++
+    copied++
+    if (pending >= BATCH_LIMIT) {
+      await batch.commit()
+      batch = writeBatch(db)
+      pending = 0
+    }
+  }
+
+  for (const collectionName of collections) {
+    const snapshot = await getDocs(collection(db, `${fromRoot}/${collectionName}`))
+    for (const docSnap of snapshot.docs) {
+      await queueWrite(`${toRoot}/${collectionName}/${docSnap.id}`, docSnap.data())
+      for (const sub of subCollections[collectionName] || []) {
+        const subSnapshot = await getDocs(collection(db, `${fromRoot}/${collectionName}/${docSnap.id}/${sub}`))
+        for (const subDoc of subSnapshot.docs) {
+          await queueWrite(`${toRoot}/${collectionName}/${docSnap.id}/${sub}/${subDoc.id}`, subDoc.data())
+        }
+      }
+    }
+  }
+
+  for (const docPath of documents) {
+    const snap = await getDoc(doc(db, `${fromRoot}/${docPath}`))
+    if (snap.exists()) await queueWrite(`${toRoot}/${docPath}`, snap.data())
+  }
+
+  if (pending > 0) await batch.commit()
+  return copied
+}
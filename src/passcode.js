@@ -0,0 +1,69 @@
+// Dashboard passcode: PBKDF2 hashing with WebCrypto, and the lockout schedule for wrong attempts.
+//
+// Stored per user at artifacts/{appId}/users/{uid}/settings/passcode:
+//   { algorithm, hash, salt, iterations, hint, autoLockMinutes, failedAttempts, lockedUntil }
+// `hash` and `salt` are base64. Records written before PBKDF2 only have a btoa() `hash`;
+// verifyPasscode() still accepts them and reports that they need re-hashing.
+
+export const PASSCODE_ALGORITHM = 'PBKDF2-SHA256'
+export const PBKDF2_ITERATIONS = 310000
+export const MIN_PASSCODE_LENGTH = 6
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 10, 15, 30, 60]
+export const DEFAULT_AUTO_LOCK_MINUTES = 10
+
+const SALT_BYTES = 16
+const HASH_BITS = 256
+const LEGACY_SALT = 'qbg-dashboard-salt-2024'
+const FREE_ATTEMPTS = 3
+const FIRST_LOCKOUT_MS = 30 * 1000
+const MAX_LOCKOUT_MS = 60 * 60 * 1000
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0))
+
+async function deriveHash(passcode, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits'])
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BITS))
+}
+
+// Compares every byte so the time taken doesn't reveal how much matched
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i]
+  return diff === 0
+}
+
+/** Returns the fields to store for a new passcode. */
+export async function createPasscodeHash(passcode) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const hash = await deriveHash(passcode, salt, PBKDF2_ITERATIONS)
+  return { algorithm: PASSCODE_ALGORITHM, hash: toBase64(hash), salt: toBase64(salt), iterations: PBKDF2_ITERATIONS }
+}
+
+/**
+ * Checks a passcode against a stored record.
+ * Resolves to { ok, needsUpgrade }; needsUpgrade is true for legacy or weaker records.
+ */
+export async function verifyPasscode(passcode, record) {
+  if (!record?.hash || !passcode) return { ok: false, needsUpgrade: false }
+  if (record.algorithm !== PASSCODE_ALGORITHM) {
+    let legacy
+    try {
+      legacy = btoa(`${LEGACY_SALT}${passcode}${LEGACY_SALT}`)
+    } catch (e) {
+      legacy = `${LEGACY_SALT}${passcode}${LEGACY_SALT}`
+    }
+    return { ok: legacy === record.hash, needsUpgrade: true }
+  }
+  const hash = await deriveHash(passcode, fromBase64(record.salt), record.iterations)
+  return { ok: sameBytes(hash, fromBase64(record.hash)), needsUpgrade: record.iterations < PBKDF2_ITERATIONS }
+}
+
+export const hasPasscode = (record) => !!record?.hash
+
+/** How long to lock out after this many consecutive failures: free attempts, then 30s doubling up to an hour. */
+export function lockoutDuration(failedAttempts) {
+  if (failedAttempts < FREE_ATTEMPTS) return 0
+  return Math.min(FIRST_LOCKOUT_MS * 2 ** (failedAttempts - FREE_ATTEMPTS), MAX_LOCKOUT_MS)
+}
@@ -0,0 +1,82 @@
+// Fiscal periods: months that have been closed, so the ledger entries dated in them can no longer change.
+//
+// Records at artifacts/{appId}/orgs/{orgId}/fiscalPeriods:
+//   {yyyy-mm}   { month, status, closedAt, closedBy, reopenedAt, reopenedBy, reopenReason }
+//   FY{yyyy}    { year, status, closedAt, closedBy, voucherId, voucherNo, netResult, reopenedAt, reopenedBy, reopenReason }
+// Months are calendar months in UTC, the way ledger dates are stored. A month without a record, or
+// with status 'open', is open. firestore.rules refuses ledger writes dated in a closed month, except
+// renames made through the Chart of Accounts (see src/accounts.js); only owners reopen a period, and they have to give a reason, which the audit log keeps.
+//
+// Closing a year posts a journal voucher dated 31 December that clears every income and expense
+// account into Retained Earnings, and closes whichever of the year's months are still open.
+
+export const PERIOD_STATUSES = {
+  open: { label: 'Open', className: 'bg-green-500/20 text-green-300' },
+  closed: { label: 'Closed', className: 'bg-gray-500/30 text-gray-300' },
+}
+
+export const RETAINED_EARNINGS = { mainCategory: 'Equity', subCategory: 'Retained Earnings' }
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+/** The month a date falls in, as its record id (yyyy-mm), or null for a missing or invalid date. */
+export function periodId(date) {
+  const d = toDate(date)
+  if (!d || isNaN(d.getTime())) return null
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`
+}
+
+export const yearPeriodId = (year) => `FY${year}`
+
+export const monthPeriodIds = (year) => MONTH_NAMES.map((_, month) => `${year}-${String(month + 1).padStart(2, '0')}`)
+
+/** "Mar 2025" for 2025-03. */
+export function periodLabel(id) {
+  const [year, month] = String(id).split('-')
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`
+}
+
+/** Ids of the closed months among the period records. */
+export const closedMonths = (periods) => new Set(periods.filter((p) => p.status === 'closed' && /^\d{4}-\d{2}$/.test(p.id)).map((p) => p.id))
+
+export const isInClosedPeriod = (closed, date) => closed.has(periodId(date))
+
+/** The closed months, in order, that any of the dates fall in. */
+export function closedPeriodsOf(closed, dates) {
+  return [...new Set(dates.map(periodId).filter((id) => id && closed.has(id)))].sort()
+}
+
+/** The account the year's result is closed into: one named Retained Earnings in an equity group, if the chart has one. */
+export function retainedEarningsAccount(accounts) {
+  const account = accounts.find((a) => a.parentId && a.type === 'equity' && /retained earnings/i.test(a.name))
+  const group = account && accounts.find((a) => a.id === account.parentId)
+  return group ? { mainCategory: group.name, subCategory: account.name } : RETAINED_EARNINGS
+}
+
+/**
+ * The closing voucher for a year: one line per income or expense account that reverses its balance
+ * for the year, and one on Retained Earnings for the net result. typeOf(mainCategory) gives an
+ * account group's type. netResult is the profit (negative for a loss).
+ */
+export function yearEndLines(entries, year, typeOf, retainedEarnings = RETAINED_EARNINGS) {
+  const balances = {}
+  entries.forEach((e) => {
+    const d = toDate(e.date)
+    if (!d || d.getUTCFullYear() !== year || !['income', 'expense'].includes(typeOf(e.mainCategory))) return
+    const key = `${e.mainCategory}|${e.subCategory || ''}`
+    balances[key] = (balances[key] || 0) + (Number(e.debit) || 0) - (Number(e.credit) || 0)
+  })
+  const lines = Object.entries(balances)
+    .map(([key, balance]) => [key.split('|'), round2(balance)])
+    .filter(([, balance]) => balance !== 0)
+    .sort(([a], [b]) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]))
+    .map(([[mainCategory, subCategory], balance]) => ({ mainCategory, subCategory, debit: balance < 0 ? -balance : 0, credit: balance > 0 ? balance : 0 }))
+  const netResult = round2(lines.reduce((sum, line) => sum + line.debit - line.credit, 0))
+  if (netResult !== 0) {
+    lines.push({ ...retainedEarnings, debit: netResult < 0 ? -netResult : 0, credit: netResult > 0 ? netResult : 0 })
+  }
+  return { lines, netResult }
+}
@@ -0,0 +1,120 @@
+// Rapid entry: the General Ledger's spreadsheet-style grid for posting many entries at once.
+//
+// Grid rows hold what was typed, as text, in GRID_COLUMNS order. Each row posts as a two-line journal
+// voucher: its amount on the row's account and the same amount the other way on its Contra account, so
+// the grid never leaves the books out of balance. Nothing is stored until the grid is posted, when every
+// row is written to the ledger in one batch. Rows pasted from Excel arrive as
+// tab-separated text; a first row of column headings (Date, Particulars, Debit...) says which column is
+// which, otherwise cells fill the grid from the cell pasted into, left to right.
+
+export const GRID_COLUMNS = [
+  { key: 'date', label: 'Date', aliases: ['date'] },
+  { key: 'particulars', label: 'Particulars', aliases: ['particulars', 'particulars / names', 'perticulers / names', 'description', 'narration'] },
+  { key: 'mainCategory', label: 'Account Group', aliases: ['main category', 'account group', 'group'] },
+  { key: 'subCategory', label: 'Account', aliases: ['sub category', 'account', 'sub-category'] },
+  { key: 'partnerName', label: 'Employee / Partner', aliases: ['partner', 'partner name', 'employee', 'name'] },
+  { key: 'debit', label: 'Debit', aliases: ['debit', 'dr'] },
+  { key: 'credit', label: 'Credit', aliases: ['credit', 'cr'] },
+  { key: 'contra', label: 'Contra Account', aliases: ['contra', 'contra account', 'bank', 'bank / cash', 'paid from', 'paid to'] },
+]
+
+// Each row posts two ledger lines, each with its audit entry, and Firestore commits at most 500 writes
+// at once; a bigger grid could only be posted in parts
+export const MAX_GRID_ROWS = 125
+
+export const GRID_KEYS = GRID_COLUMNS.map((c) => c.key)
+
+export const emptyGridRow = (date = '', contra = '') => ({ date, particulars: '', mainCategory: '', subCategory: '', partnerName: '', debit: '', credit: '', contra })
+
+// New rows carry the date and contra account of the row above, so those alone do not make a row
+export const isBlankRow = (row) => GRID_KEYS.every((key) => key === 'date' || key === 'contra' || !String(row[key] ?? '').trim())
+
+export const contraLabel = (mainCategory, subCategory) => `${subCategory} (${mainCategory})`
+
+/**
+ * The account a Contra cell names, as { mainCategory, subCategory }: "Account (Group)", or an account
+ * name that is in one group only. Null when it names no account.
+ */
+export function contraAccountOf(text, categories) {
+  const value = String(text ?? '').trim()
+  const named = value.match(/^(.+?)\s*\((.+)\)$/)
+  if (named && categories[named[2].trim()]?.includes(named[1].trim())) return { mainCategory: named[2].trim(), subCategory: named[1].trim() }
+  const groups = Object.keys(categories).filter((group) => categories[group].includes(value))
+  return groups.length === 1 ? { mainCategory: groups[0], subCategory: value } : null
+}
+
+/** An amount as typed or pasted ("1,250.50", "QAR 300"), or NaN when it is not a number. Blank is 0. */
+export function parseAmount(value) {
+  const text = String(value ?? '').replace(/[,\s]/g, '').replace(/^[A-Z]{3}/i, '')
+  if (!text) return 0
+  return /^-?\d*\.?\d+$/.test(text) ? Number(text) : NaN
+}
+
+/** A pasted date as dd/mm/yyyy: ISO dates (yyyy-mm-dd) and dashes or dots are rewritten, anything else is left as it is. */
+export function normaliseGridDate(value) {
+  const text = String(value ?? '').trim()
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (iso) return `${iso[3].padStart(2, '0')}/${iso[2].padStart(2, '0')}/${iso[1]}`
+  const dmy = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/)
+  return dmy ? `${dmy[1].padStart(2, '0')}/${dmy[2].padStart(2, '0')}/${dmy[3]}` : text
+}
+
+/**
+ * Pasted text as grid rows. With a heading row, cells go to the columns their headings name; without
+ * one, to the columns from `startKey` onwards. Returns partial rows: only the columns pasted into.
+ */
+export function parsePastedRows(text, startKey = 'date') {
+  const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map((line) => line.split('\t'))
+  if (lines.length === 0) return []
+  const headingKeys = lines[0].map((cell) => GRID_COLUMNS.find((c) => c.aliases.includes(cell.trim().toLowerCase()))?.key || null)
+  const hasHeadings = headingKeys.filter(Boolean).length >= 2
+  const start = Math.max(GRID_KEYS.indexOf(startKey), 0)
+  const keys = hasHeadings ? headingKeys : lines[0].map((_, i) => GRID_KEYS[start + i] || null)
+  return (hasHeadings ? lines.slice(1) : lines)
+    .filter((cells) => cells.some((cell) => cell.trim()))
+    .map((cells) => Object.fromEntries(cells
+      .map((cell, i) => [keys[i], cell.trim()])
+      .filter(([key]) => key)
+      .map(([key, value]) => [key, key === 'date' ? normaliseGridDate(value) : value])))
+}
+
+/**
+ * A row's problems by column, empty when it can be posted. parseDate reads a dd/mm/yyyy date;
+ * categories maps each account group to its accounts.
+ */
+export function validateGridRow(row, { parseDate, categories }) {
+  const errors = {}
+  if (!parseDate(String(row.date || '').trim())) errors.date = 'Enter the date as dd/mm/yyyy'
+  if (!String(row.particulars || '').trim()) errors.particulars = 'Required'
+  if (!categories[row.mainCategory]) errors.mainCategory = 'Not an account group in the chart'
+  else if (row.subCategory && !categories[row.mainCategory].includes(row.subCategory)) errors.subCategory = `Not an account under ${row.mainCategory}`
+  const debit = parseAmount(row.debit)
+  const credit = parseAmount(row.credit)
+  if (isNaN(debit) || debit < 0) errors.debit = 'Enter a positive amount'
+  if (isNaN(credit) || credit < 0) errors.credit = 'Enter a positive amount'
+  if (!errors.debit && !errors.credit) {
+    if (debit > 0 && credit > 0) errors.credit = 'A line is either a debit or a credit'
+    else if (debit === 0 && credit === 0) errors.debit = 'Enter a debit or a credit'
+  }
+  const contra = contraAccountOf(row.contra, categories)
+  if (!String(row.contra ?? '').trim()) errors.contra = 'Required: the account the amount is posted against'
+  else if (!contra) errors.contra = 'Not an account in the chart; write "Account (Group)" when the name is in several groups'
+  else if (contra.mainCategory === row.mainCategory && contra.subCategory === (row.subCategory || '')) errors.contra = 'Must be a different account from the line'
+  return errors
+}
+
+/** The ledger fields for a valid row, with the contra account as contraMainCategory and contraSubCategory. */
+export function gridRowEntry(row, parseDate, categories) {
+  const contra = contraAccountOf(row.contra, categories)
+  return {
+    date: parseDate(String(row.date).trim()),
+    particulars: String(row.particulars).trim(),
+    mainCategory: row.mainCategory,
+    subCategory: row.subCategory || '',
+    partnerName: String(row.partnerName || '').trim(),
+    debit: parseAmount(row.debit),
+    credit: parseAmount(row.credit),
+    contraMainCategory: contra.mainCategory,
+    contraSubCategory: contra.subCategory,
+  }
+}
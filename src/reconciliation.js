@@ -0,0 +1,292 @@
+// Bank reconciliation: bank statements parsed from CSV/Excel, MT940 or CAMT.053 and matched to ledger entries.
+//
+// One record per ledger account and month at artifacts/{appId}/orgs/{orgId}/bankReconciliations/{id}:
+//   { mainCategory, subCategory, month, fileName, openingBalance, closingBalance, status, lines,
+//     importedAt, reconciledAt }
+// `id` comes from reconciliationId(), so importing the same account and month again replaces the record.
+// `month` is 'yyyy-mm' and `status` is 'open' or 'reconciled'. Each line is
+//   { id, date, description, reference, amount, entryId }
+// with `amount` signed from the bank's side: positive is money in, which the ledger records as a debit
+// to the bank account. `entryId` is the ledger entry the line is matched to, or null.
+//
+// Ledger entries are never written to here; their reconciled status is worked out from these records.
+
+export const RECONCILIATION_STATUSES = {
+  open: 'Open',
+  reconciled: 'Reconciled',
+}
+
+// How far apart a statement line and a ledger entry can be dated and still be matched automatically
+export const MATCH_WINDOW_DAYS = 5
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+const round2 = (value) => Math.round(value * 100) / 100
+
+export const monthKey = (date) => {
+  const d = toDate(date)
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`
+}
+
+const slug = (text) => String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+export const reconciliationId = (mainCategory, subCategory, month) => `${slug(mainCategory)}__${slug(subCategory) || 'all'}__${month}`
+
+/** Does a ledger entry post to the account being reconciled? */
+export const postsToAccount = (entry, mainCategory, subCategory) =>
+  entry.mainCategory === mainCategory && (!subCategory || entry.subCategory === subCategory)
+
+/** Net effect of a ledger entry on the bank account, in the statement's sign (debit is money in). */
+export const entryAmount = (entry) => round2((Number(entry.debit) || 0) - (Number(entry.credit) || 0))
+
+/**
+ * Reads the dates banks put in statements: dd/mm/yyyy, dd-mm-yy, yyyy-mm-dd, 05-Jan-2025,
+ * Excel serial numbers and Date objects. Resolves to a UTC midnight Date, or null.
+ */
+export function parseStatementDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()))
+  if (typeof value === 'number') return value > 20000 && value < 80000 ? new Date(Date.UTC(1899, 11, 30) + Math.round(value) * DAY_MS) : null
+  const text = String(value || '').trim()
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (match) return utcDate(+match[1], +match[2], +match[3])
+  match = text.match(/^(\d{1,2})[/.\- ](\d{1,2})[/.\- ](\d{2,4})$/)
+  if (match) return utcDate(fullYear(match[3]), +match[2], +match[1])
+  match = text.match(/^(\d{1,2})[/.\- ]([A-Za-z]{3})[A-Za-z]*[/.\- ](\d{2,4})$/)
+  if (match && MONTHS.includes(match[2].toLowerCase())) return utcDate(fullYear(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1])
+  return null
+}
+
+const fullYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year))
+
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null
+}
+
+/** Amounts as banks print them: "1,250.00", "(300.00)", "300.00 DR", "QAR 75". */
+export function parseStatementAmount(value) {
+  if (typeof value === 'number') return value
+  let text = String(value ?? '').trim()
+  if (!text) return null
+  let sign = 1
+  if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1) }
+  if (/\b(dr|debit)\.?$/i.test(text)) { sign = -1; text = text.replace(/\b(dr|debit)\.?$/i, '') }
+  text = text.replace(/\b(cr|credit)\.?$/i, '').replace(/[^0-9.\-]/g, '')
+  if (!text || isNaN(Number(text))) return null
+  return sign * Number(text)
+}
+
+/** Splits CSV text into rows of cells, honouring quoted cells with commas, quotes and line breaks. */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  const delimiter = (text.split('\n')[0].match(/;/g) || []).length > (text.split('\n')[0].match(/,/g) || []).length ? ';' : ','
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++ }
+      else if (char === '"') quoted = false
+      else cell += char
+    } else if (char === '"') quoted = true
+    else if (char === delimiter) { row.push(cell); cell = '' }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell); rows.push(row); row = []; cell = ''
+    } else cell += char
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row) }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ''))
+}
+
+// Header names banks use for each column, matched against lower-cased header cells
+const COLUMN_PATTERNS = {
+  date: /^(transaction |txn |posting |value |book(ing)? )?date$|^date/,
+  description: /description|narration|details|particulars|remarks|memo|transaction$/,
+  reference: /ref|cheque|chq|document|transaction id/,
+  debit: /debit|withdraw|paid out|money out|^dr$/,
+  credit: /credit|deposit|paid in|money in|^cr$/,
+  amount: /^amount|amount$/,
+}
+
+/**
+ * Turns spreadsheet rows (from CSV or Excel) into statement lines. The header row is the first row
+ * with a date column and either an amount column or debit/credit columns.
+ */
+export function statementLinesFromRows(rows) {
+  let columns = null
+  let headerIndex = -1
+  for (let i = 0; i < Math.min(rows.length, 30) && !columns; i++) {
+    const found = {}
+    rows[i].forEach((cell, index) => {
+      const header = String(cell || '').trim().toLowerCase()
+      if (!header) return
+      Object.entries(COLUMN_PATTERNS).forEach(([key, pattern]) => {
+        if (found[key] === undefined && pattern.test(header) && !(key === 'description' && found.date === index)) found[key] = index
+      })
+    })
+    if (found.date !== undefined && (found.amount !== undefined || (found.debit !== undefined && found.credit !== undefined))) {
+      columns = found
+      headerIndex = i
+    }
+  }
+  if (!columns) throw new Error('Could not find the date and amount columns in this statement.')
+
+  const lines = []
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const date = parseStatementDate(row[columns.date])
+    if (!date) return
+    let amount
+    if (columns.debit !== undefined && columns.credit !== undefined) {
+      amount = (Math.abs(parseStatementAmount(row[columns.credit]) || 0)) - (Math.abs(parseStatementAmount(row[columns.debit]) || 0))
+    } else {
+      amount = parseStatementAmount(row[columns.amount])
+    }
+    if (!amount) return
+    lines.push({
+      date,
+      description: String(row[columns.description] ?? '').trim(),
+      reference: columns.reference !== undefined ? String(row[columns.reference] ?? '').trim() : '',
+      amount: round2(amount),
+    })
+  })
+  return { lines }
+}
+
+const mt940Amount = (text) => Number(String(text).replace(',', '.'))
+
+/** SWIFT MT940: :61: statement lines with their :86: information, :60F:/:62F: balances. */
+export function parseMt940(text) {
+  const lines = []
+  let openingBalance = null
+  let closingBalance = null
+  let current = null
+  const fields = text.replace(/\r/g, '').split(/\n(?=:\d{2}[A-Z]?:)/)
+  fields.forEach((field) => {
+    const match = field.match(/^:(\d{2}[A-Z]?):([\s\S]*)$/)
+    if (!match) return
+    const [, tag, value] = match
+    if (tag === '60F' || tag === '60M' || tag === '62F' || tag === '62M') {
+      const balance = value.match(/^([CD])\d{6}[A-Z]{3}([\d,]+)/)
+      if (!balance) return
+      const amount = (balance[1] === 'D' ? -1 : 1) * mt940Amount(balance[2])
+      if (tag.startsWith('60') && openingBalance === null) openingBalance = amount
+      if (tag.startsWith('62')) closingBalance = amount
+    } else if (tag === '61') {
+      // YYMMDD [MMDD] C|D|RC|RD [funds code] amount N|F|S + type, customer reference [//bank reference]
+      const line = value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?([\d,]+)[NFS][A-Z0-9]{3}([^\n/]*)(?:\/\/([^\n]*))?/)
+      if (!line) return
+      const [, yy, mm, dd, , mark, amount, customerRef, bankRef] = line
+      const debit = mark === 'D' || mark === 'RC'
+      current = {
+        date: utcDate(2000 + Number(yy), Number(mm), Number(dd)),
+        description: value.split('\n').slice(1).join(' ').trim(),
+        reference: (customerRef && customerRef !== 'NONREF' ? customerRef : bankRef || '').trim(),
+        amount: round2((debit ? -1 : 1) * mt940Amount(amount)),
+      }
+      lines.push(current)
+    } else if (tag === '86' && current) {
+      current.description = [current.description, value.replace(/\n/g, ' ').trim()].filter(Boolean).join(' ')
+    }
+  })
+  return { lines: lines.filter((l) => l.date), openingBalance, closingBalance }
+}
+
+/** ISO 20022 CAMT.053: every Ntry of the statement, plus its OPBD/CLBD balances. */
+export function parseCamt053(text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml')
+  if (xml.getElementsByTagName('parsererror').length > 0) throw new Error('The statement is not valid XML.')
+  const byTag = (node, tag) => node ? [...node.getElementsByTagNameNS('*', tag)] : []
+  const first = (node, ...path) => {
+    let found = node
+    for (const tag of path) found = byTag(found, tag)[0]
+    return found?.textContent?.trim() || ''
+  }
+
+  let openingBalance = null
+  let closingBalance = null
+  byTag(xml, 'Bal').forEach((bal) => {
+    const code = first(bal, 'Tp', 'Cd')
+    const amount = (first(bal, 'CdtDbtInd') === 'DBIT' ? -1 : 1) * Number(first(bal, 'Amt'))
+    if (code === 'OPBD' || code === 'PRCD') openingBalance = openingBalance ?? amount
+    if (code === 'CLBD') closingBalance = amount
+  })
+
+  const lines = byTag(xml, 'Ntry').map((entry) => {
+    const amount = Number([...entry.children].find((child) => child.localName === 'Amt')?.textContent || 0)
+    const indicator = [...entry.children].find((child) => child.localName === 'CdtDbtInd')?.textContent
+    return {
+      date: parseStatementDate(first(entry, 'BookgDt', 'Dt') || first(entry, 'BookgDt', 'DtTm') || first(entry, 'ValDt', 'Dt')),
+      description: first(entry, 'AddtlNtryInf') || byTag(entry, 'Ustrd').map((n) => n.textContent.trim()).join(' ') || first(entry, 'AddtlTxInf'),
+      reference: first(entry, 'EndToEndId').replace(/^NOTPROVIDED$/, '') || first(entry, 'AcctSvcrRef') || first(entry, 'NtryRef'),
+      amount: round2((indicator === 'DBIT' ? -1 : 1) * amount),
+    }
+  })
+  return { lines: lines.filter((l) => l.date && l.amount), openingBalance, closingBalance }
+}
+
+/**
+ * Parses a statement file's text by its format: CAMT.053 XML, MT940, or CSV. Excel files are read
+ * into rows by the page and go through statementLinesFromRows() instead.
+ */
+export function parseStatementText(text, fileName = '') {
+  const trimmed = text.replace(/^\uFEFF/, '').trim()
+  if (trimmed.startsWith('<')) return parseCamt053(trimmed)
+  if (/^:20:|\n:20:|:61:/.test(trimmed) || /\.(sta|mt940|940)$/i.test(fileName)) return parseMt940(trimmed)
+  return statementLinesFromRows(parseCsv(trimmed))
+}
+
+/** Gives parsed lines their ids, in statement order. */
+export const numberLines = (lines) => lines.map((line, index) => ({ ...line, id: `L${String(index + 1).padStart(4, '0')}`, entryId: line.entryId || null }))
+
+/** Words of a reference or description worth comparing (at least four characters, or any digits). */
+const tokens = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter((t) => t.length >= 4 || (/\d/.test(t) && t.length >= 3))
+
+/**
+ * Matches unmatched statement lines to ledger entries of the same amount within MATCH_WINDOW_DAYS.
+ * A shared reference beats a closer date; each entry is used once. `entries` should already be limited
+ * to the account and exclude entries matched elsewhere. Returns the lines with `entryId` filled in.
+ */
+export function autoMatch(lines, entries) {
+  const used = new Set(lines.map((l) => l.entryId).filter(Boolean))
+  const candidates = []
+  lines.forEach((line) => {
+    if (line.entryId) return
+    const lineDate = toDate(line.date)
+    const lineTokens = tokens(`${line.reference} ${line.description}`)
+    entries.forEach((entry) => {
+      if (used.has(entry.id) || entryAmount(entry) !== round2(line.amount)) return
+      const days = Math.abs(toDate(entry.date) - lineDate) / DAY_MS
+      if (days > MATCH_WINDOW_DAYS) return
+      const entryText = `${entry.particulars || ''} ${entry.notes || ''} ${entry.voucherNo || ''}`.toLowerCase()
+      const referenceHit = line.reference && entryText.includes(String(line.reference).toLowerCase())
+      const shared = lineTokens.filter((t) => entryText.includes(t)).length
+      candidates.push({ lineId: line.id, entryId: entry.id, score: (referenceHit ? 100 : 0) + shared * 10 - days })
+    })
+  })
+  candidates.sort((a, b) => b.score - a.score)
+  const matched = {}
+  candidates.forEach(({ lineId, entryId }) => {
+    if (matched[lineId] || used.has(entryId)) return
+    matched[lineId] = entryId
+    used.add(entryId)
+  })
+  return lines.map((line) => (matched[line.id] ? { ...line, entryId: matched[line.id] } : line))
+}
+
+/**
+ * Reconciled status of every matched ledger entry: { entryId: 'reconciled' | 'matched' }, where
+ * 'matched' means the reconciliation it belongs to has not been closed yet.
+ */
+export function entryStatuses(reconciliations) {
+  const statuses = {}
+  reconciliations.forEach((rec) => {
+    for (const line of rec.lines || []) {
+      if (line.entryId) statuses[line.entryId] = rec.status === 'reconciled' ? 'reconciled' : 'matched'
+    }
+  })
+  return statuses
+}
@@ -0,0 +1,124 @@
+// Recurring ledger entries: templates that fall due every period, held for review before they post.
+//
+// Layout under artifacts/{appId}/orgs/{orgId}:
+//   recurringTemplates/{templateId}  { name, particulars, mainCategory, subCategory, contraMainCategory,
+//                                      contraSubCategory, amount, frequency, startDate, endDate, active,
+//                                      lastDueDate, notes }
+//   recurringEntries/{entryId}       { templateId, templateName, dueDate, date, particulars, mainCategory,
+//                                      subCategory, contraMainCategory, contraSubCategory, amount, notes, generatedAt }
+//
+// generateDueEntries() runs when the app opens. It adds one recurringEntries record per period that
+// has fallen due since the template's `lastDueDate` and moves `lastDueDate` on, so a period that is
+// skipped is never generated again. Entry ids are built from the template and due date, so two
+// browsers generating at once write the same records. Nothing reaches the ledger until someone
+// approves the entry, which posts as a two-line journal voucher against the contra account. Templates
+// saved before a contra account was required generate nothing until one is chosen; their periods
+// catch up then.
+import { collection, doc, getDocs, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase'
+import { writeBatch } from './audit.js'
+import { entrySide } from './accounts.js'
+
+export const RECURRING_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 },
+  yearly: { label: 'Yearly', months: 12 },
+}
+
+// A template that has not run for years catches up at most this many periods at once
+export const MAX_CATCH_UP_PERIODS = 24
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+/** The nth due date of a template, counted from its start date (n = 0 is the start date itself). */
+export function occurrence(startDate, frequency, n) {
+  const start = toDate(startDate)
+  const { days, months } = RECURRING_FREQUENCIES[frequency]
+  if (days) return new Date(start.getTime() + n * days * 24 * 60 * 60 * 1000)
+  // Counting from the start keeps month-end templates on the last day (31 Jan, 28 Feb, 31 Mar)
+  const month = start.getUTCMonth() + n * months
+  const year = start.getUTCFullYear() + Math.floor(month / 12)
+  const monthOfYear = ((month % 12) + 12) % 12
+  return new Date(Date.UTC(year, monthOfYear, Math.min(start.getUTCDate(), daysInMonth(year, monthOfYear))))
+}
+
+/** Due dates after the template's lastDueDate, up to asOf and its end date. */
+export function dueDates(template, asOf = new Date()) {
+  const start = toDate(template.startDate)
+  if (!start || !RECURRING_FREQUENCIES[template.frequency]) return []
+  const end = toDate(template.endDate)
+  const last = toDate(template.lastDueDate)
+  const dates = []
+  for (let n = 0; dates.length < MAX_CATCH_UP_PERIODS; n++) {
+    const date = occurrence(start, template.frequency, n)
+    if (date > asOf || (end && date > end)) break
+    if (!last || date > last) dates.push(date)
+  }
+  return dates
+}
+
+/** The first due date still to come, or null once the template has ended. */
+export function nextDueDate(template) {
+  const start = toDate(template.startDate)
+  if (!start || !RECURRING_FREQUENCIES[template.frequency]) return null
+  const end = toDate(template.endDate)
+  const last = toDate(template.lastDueDate)
+  for (let n = 0; ; n++) {
+    const date = occurrence(start, template.frequency, n)
+    if (end && date > end) return null
+    if (!last || date > last) return date
+  }
+}
+
+/** Whether a template or generated entry names both the account and the contra account it posts against. */
+export const hasAccounts = (item) => !!(item.mainCategory && item.subCategory && item.contraMainCategory && item.contraSubCategory)
+
+export const recurringEntryId = (templateId, date) => `${templateId}_${date.toISOString().slice(0, 10).replace(/-/g, '')}`
+
+/** Generates the entries that have fallen due for every active template. Resolves to how many were added. */
+export async function generateDueEntries(root, asOf = new Date()) {
+  const templatesSnap = await getDocs(collection(db, `${root}/recurringTemplates`))
+  const batch = writeBatch(db, { history: false })
+  let count = 0
+  templatesSnap.docs.forEach((templateDoc) => {
+    const template = templateDoc.data()
+    if (template.active === false || !hasAccounts(template)) return
+    const dates = dueDates(template, asOf)
+    if (dates.length === 0) return
+    dates.forEach((date) => {
+      batch.set(doc(db, `${root}/recurringEntries`, recurringEntryId(templateDoc.id, date)), {
+        templateId: templateDoc.id,
+        templateName: template.name || '',
+        dueDate: date,
+        date,
+        particulars: template.particulars || template.name || '',
+        mainCategory: template.mainCategory || '',
+        subCategory: template.subCategory || '',
+        contraMainCategory: template.contraMainCategory || '',
+        contraSubCategory: template.contraSubCategory || '',
+        amount: Number(template.amount) || 0,
+        notes: template.notes || '',
+        generatedAt: serverTimestamp(),
+      })
+    })
+    batch.update(templateDoc.ref, { lastDueDate: dates[dates.length - 1] })
+    count += dates.length
+  })
+  if (count > 0) await batch.commit()
+  return count
+}
+
+/**
+ * The two ledger lines a generated entry posts as, { mainCategory, subCategory, debit, credit }: the
+ * account on its normal side and the contra account on the other.
+ */
+export function recurringLines(entry, accounts) {
+  if (!hasAccounts(entry)) throw new Error('A recurring entry needs an account and a contra account.')
+  const amount = Number(entry.amount) || 0
+  const side = entrySide(accounts, entry.mainCategory, entry.subCategory) || 'debit'
+  const line = (mainCategory, subCategory, isDebit) => ({ mainCategory, subCategory, debit: isDebit ? amount : 0, credit: isDebit ? 0 : amount })
+  return [line(entry.mainCategory, entry.subCategory, side === 'debit'), line(entry.contraMainCategory, entry.contraSubCategory, side !== 'debit')]
+}
@@ -0,0 +1,45 @@
+// Storage layout for uploaded files. Every path carries the app and organisation so
+// storage.rules can check membership of artifacts/{appId}/orgs/{orgId}:
+//
+//   employee_photos/{appId}/{orgId}/{collectionPath}/{employeeId}/{fileName}   images
+//   employee_docs/{appId}/{orgId}/{collectionPath}/{employeeId}/{fileName}     PDF
+//   docs_creds/{appId}/{orgId}/{collectionPrefix}/{docId}/{fileName}           PDF or images
+//   vehicle_docs/{appId}/{orgId}/{collectionPath}/{vehicleId}/{fileName}       PDF or images
+//   ledger_attachments/{appId}/{orgId}/{collectionPath}/{entryId}/{fileName}   PDF or images
+//
+// Rules also require the metadata built by uploadMetadata(); keep the limits below in sync.
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage'
+import { auth, storage } from './firebase'
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024
+
+export const orgStoragePath = (area, appId, orgId, ...segments) => [area, appId, orgId, ...segments].join('/')
+
+export const uploadMetadata = (file, orgId) => ({
+  contentType: file.type || 'application/octet-stream',
+  customMetadata: {
+    orgId,
+    uploadedBy: auth.currentUser?.uid || '',
+  },
+})
+
+export const isDocumentOrImage = (file) => file.type === 'application/pdf' || file.type.startsWith('image/')
+
+/**
+ * Uploads a receipt or invoice for a ledger entry and resolves to the record kept in the entry's
+ * `attachments` list: { name, url, storagePath, contentType, size, uploadedAt, uploadedBy }.
+ */
+export async function uploadLedgerAttachment({ appId, orgId, collectionPath, entryId, file }) {
+  const storagePath = orgStoragePath('ledger_attachments', appId, orgId, collectionPath, entryId, `${Date.now()}_${file.name.replace(/[^\w.-]+/g, '_')}`)
+  const storageRef = ref(storage, storagePath)
+  await uploadBytes(storageRef, file, uploadMetadata(file, orgId))
+  return {
+    name: file.name,
+    url: await getDownloadURL(storageRef),
+    storagePath,
+    contentType: file.type,
+    size: file.size,
+    uploadedAt: new Date(),
+    uploadedBy: auth.currentUser?.email || '',
+  }
+}
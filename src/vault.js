@@ -0,0 +1,107 @@
+// Credentials vault: credential passcodes/PINs and employee pay card PINs are encrypted in the
+// browser with AES-GCM, under a key derived (PBKDF2) from a passphrase the organisation shares.
+//
+// One record per organisation at artifacts/{appId}/orgs/{orgId}/settings/vault:
+//   { algorithm, salt, iterations, check, createdBy, createdAt }
+// `check` is VAULT_CHECK encrypted with the key, so a wrong passphrase is caught on unlock.
+// Rules make the record write-once: a new salt would leave every stored secret unreadable.
+//
+// Encrypted fields are stored as strings `enc:v1:{iv}:{ciphertext}` (both base64). Any other
+// value is plain text saved before the vault existed; it is encrypted the next time it is saved.
+// The key itself only ever lives in memory.
+
+export const VAULT_ALGORITHM = 'AES-GCM-256/PBKDF2-SHA256'
+export const VAULT_ITERATIONS = 310000
+export const MIN_VAULT_PASSPHRASE_LENGTH = 8
+
+// Fields holding secrets, wherever they appear (credentials and employee records)
+export const SECRET_FIELDS = ['passcode', 'pin', 'payCardPin']
+
+const PREFIX = 'enc:v1:'
+const VAULT_CHECK = 'qbg-vault-check'
+const SALT_BYTES = 16
+const IV_BYTES = 12
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0))
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  )
+}
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX)
+
+export async function encryptSecret(key, plaintext) {
+  if (plaintext === undefined || plaintext === null || plaintext === '') return ''
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(String(plaintext)))
+  return `${PREFIX}${toBase64(iv)}:${toBase64(data)}`
+}
+
+/** Plain (pre-vault) values come back unchanged; a wrong key rejects. */
+export async function decryptSecret(key, value) {
+  if (!isEncrypted(value)) return value ?? ''
+  const [iv, data] = value.slice(PREFIX.length).split(':')
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data))
+  return new TextDecoder().decode(plain)
+}
+
+/** Returns { record, key }: the record to store and the key to keep for this session. */
+export async function createVault(passphrase, createdBy) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const key = await deriveKey(passphrase, salt, VAULT_ITERATIONS)
+  return {
+    key,
+    record: {
+      algorithm: VAULT_ALGORITHM,
+      salt: toBase64(salt),
+      iterations: VAULT_ITERATIONS,
+      check: await encryptSecret(key, VAULT_CHECK),
+      createdBy,
+    },
+  }
+}
+
+/** Resolves to the vault key, or null when the passphrase is wrong. */
+export async function unlockVault(passphrase, record) {
+  if (!record?.salt || !passphrase) return null
+  const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations)
+  try {
+    return (await decryptSecret(key, record.check)) === VAULT_CHECK ? key : null
+  } catch (error) {
+    return null
+  }
+}
+
+/** Encrypts any plain secret fields of a record before it is written. */
+export async function encryptSecretFields(key, data, fields = SECRET_FIELDS) {
+  const result = { ...data }
+  for (const field of fields) {
+    if (result[field] && !isEncrypted(result[field])) result[field] = await encryptSecret(key, result[field])
+  }
+  return result
+}
+
+/**
+ * What an export may contain for one secret value: nothing by default, or ciphertext when the
+ * user asked for an encrypted export (exportKey is the unlocked vault key in that case).
+ */
+export async function secretForExport(value, exportKey) {
+  if (!exportKey || !value) return ''
+  return isEncrypted(value) ? value : encryptSecret(exportKey, value)
+}
+
+/** Drops secret fields from an exported record, or makes sure they are encrypted. */
+export async function secretsForExport(data, exportKey) {
+  if (exportKey) return encryptSecretFields(exportKey, data)
+  const result = { ...data }
+  SECRET_FIELDS.forEach((field) => delete result[field])
+  return result
+}
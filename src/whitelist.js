@@ -0,0 +1,100 @@
+// Authorised users: who may sign in at all, who administers the list, and an audit of changes.
+//
+// Layout:
+//   authorized_users/whitelist                    { emails, admins, suspended, lastAuditId, updatedAt, updatedBy }
+//   authorized_users/whitelist/audit/{entryId}    { action, email, by, byUid, at }
+//   authorized_users/whitelist/signIns/{email}    { uid, displayName, lastSignInAt }
+//
+// `emails` are the active accounts (firestore.rules only checks this list), `admins` is a
+// subset of it, and suspended emails move from `emails` to `suspended`. All emails are lower-case.
+// Rules only accept a whitelist write that creates the audit entry named in `lastAuditId`
+// in the same batch, so every change here goes through commitChange().
+import { doc, getDoc, collection, writeBatch, setDoc, arrayUnion, arrayRemove, serverTimestamp } from 'firebase/firestore'
+import { db } from './firebase'
+
+export const WHITELIST_ACTIONS = {
+  bootstrap: 'Became first administrator',
+  add: 'Added',
+  remove: 'Removed',
+  suspend: 'Suspended',
+  reactivate: 'Reactivated',
+  grant_admin: 'Made administrator',
+  revoke_admin: 'Removed administrator',
+}
+
+export const whitelistRef = doc(db, 'authorized_users', 'whitelist')
+export const whitelistAuditRef = collection(db, 'authorized_users', 'whitelist', 'audit')
+export const whitelistSignInsRef = collection(db, 'authorized_users', 'whitelist', 'signIns')
+
+export const normaliseEmail = (email) => String(email || '').trim().toLowerCase()
+
+/**
+ * Reads the whitelist as the signed-in user.
+ * Returns 'authorised', 'unconfigured' (no whitelist yet, so the first admin can be bootstrapped)
+ * or 'denied' (rules refuse the read for accounts that are not listed).
+ */
+export async function checkAccess(email) {
+  try {
+    const snap = await getDoc(whitelistRef)
+    if (!snap.exists()) return 'unconfigured'
+    return (snap.data().emails || []).map(normaliseEmail).includes(normaliseEmail(email)) ? 'authorised' : 'denied'
+  } catch (error) {
+    if (error.code === 'permission-denied') return 'denied'
+    throw error
+  }
+}
+
+async function commitChange(actor, action, email, whitelistChanges, { create = false } = {}) {
+  const auditEntryRef = doc(whitelistAuditRef)
+  const batch = writeBatch(db)
+  const stamp = { lastAuditId: auditEntryRef.id, updatedAt: serverTimestamp(), updatedBy: normaliseEmail(actor.email) }
+  if (create) {
+    batch.set(whitelistRef, { ...whitelistChanges, ...stamp })
+  } else {
+    batch.update(whitelistRef, { ...whitelistChanges, ...stamp })
+  }
+  batch.set(auditEntryRef, {
+    action,
+    email: normaliseEmail(email),
+    by: normaliseEmail(actor.email),
+    byUid: actor.uid,
+    at: serverTimestamp(),
+  })
+  await batch.commit()
+}
+
+// Only possible while no whitelist exists, or while an existing one has no administrators yet
+export async function bootstrapAdministrator(actor) {
+  const email = normaliseEmail(actor.email)
+  const snap = await getDoc(whitelistRef)
+  if (!snap.exists()) {
+    return commitChange(actor, 'bootstrap', email, { emails: [email], admins: [email], suspended: [] }, { create: true })
+  }
+  if ((snap.data().admins || []).length > 0) throw new Error('An administrator already exists.')
+  return commitChange(actor, 'bootstrap', email, { admins: [email], suspended: snap.data().suspended || [] })
+}
+
+export function addAuthorisedEmail(actor, email) {
+  const normalised = normaliseEmail(email)
+  if (!normalised || !normalised.includes('@')) throw new Error('Enter a valid email address.')
+  return commitChange(actor, 'add', normalised, { emails: arrayUnion(normalised), suspended: arrayRemove(normalised) })
+}
+
+export const removeAuthorisedEmail = (actor, email) =>
+  commitChange(actor, 'remove', email, { emails: arrayRemove(email), admins: arrayRemove(email), suspended: arrayRemove(email) })
+
+export const suspendAuthorisedEmail = (actor, email) =>
+  commitChange(actor, 'suspend', email, { emails: arrayRemove(email), admins: arrayRemove(email), suspended: arrayUnion(email) })
+
+export const reactivateAuthorisedEmail = (actor, email) =>
+  commitChange(actor, 'reactivate', email, { emails: arrayUnion(email), suspended: arrayRemove(email) })
+
+export const setAdministrator = (actor, email, isAdmin) =>
+  commitChange(actor, isAdmin ? 'grant_admin' : 'revoke_admin', email, { admins: isAdmin ? arrayUnion(email) : arrayRemove(email) })
+
+// Auth metadata of other accounts is not readable from the browser, so each user records their own sign-in
+export const recordSignIn = (user) => setDoc(doc(whitelistSignInsRef, normaliseEmail(user.email)), {
+  uid: user.uid,
+  displayName: user.displayName || '',
+  lastSignInAt: serverTimestamp(),
+})
@@ -0,0 +1,606 @@
+// Firestore security rules tests. Run with `npm run test:rules`, which starts the emulators.
+import { readFileSync } from 'fs'
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest'
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { doc, getDoc, setDoc, deleteDoc, updateDoc, writeBatch, collection, arrayUnion, serverTimestamp, Timestamp } from 'firebase/firestore'
+
+const APP_ID = 'test-app'
+const ORG_ID = 'owner-uid'
+const ORG = `artifacts/${APP_ID}/orgs/${ORG_ID}`
+
+const MEMBERS = {
+  'owner-uid': { role: 'owner', email: 'owner@example.com' },
+  'accountant-uid': { role: 'accountant', email: 'accountant@example.com' },
+  'hr-uid': { role: 'hr', email: 'hr@example.com' },
+  'clerk-uid': { role: 'clerk', email: 'clerk@example.com' },
+  'viewer-uid': { role: 'viewer', email: 'viewer@example.com' },
+}
+
+let testEnv
+
+const ledgerEntry = (overrides = {}) => ({
+  date: Timestamp.fromDate(new Date('2025-01-15T00:00:00Z')),
+  particulars: 'Fuel',
+  mainCategory: 'Expenses',
+  subCategory: 'Vehicles',
+  debit: 50,
+  credit: 0,
+  ...overrides,
+})
+
+const dbAs = (uid, email = MEMBERS[uid]?.email || `${uid}@example.com`) => testEnv.authenticatedContext(uid, { email }).firestore()
+
+const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data))
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-dashboard',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  })
+})
+
+afterAll(async () => {
+  await testEnv?.cleanup()
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+  await seed('authorized_users/whitelist', {
+    emails: [...Object.values(MEMBERS).map((m) => m.email), 'new@example.com', 'stranger-uid@example.com'],
+    admins: ['owner@example.com'],
+    suspended: [],
+  })
+  await seed(ORG, { name: 'Test Org', ownerUid: ORG_ID })
+  for (const [uid, member] of Object.entries(MEMBERS)) {
+    await seed(`${ORG}/members/${uid}`, member)
+  }
+  await seed(`${ORG}/ledgerQatar/entry1`, ledgerEntry({ particulars: 'Opening', debit: 100 }))
+})
+
+describe('organisation data', () => {
+  it('lets every member read shared data', async () => {
+    for (const uid of Object.keys(MEMBERS)) {
+      await assertSucceeds(getDoc(doc(dbAs(uid), `${ORG}/ledgerQatar/entry1`)))
+    }
+  })
+
+  it('hides organisation data from non-members', async () => {
+    await assertFails(getDoc(doc(dbAs('stranger-uid'), `${ORG}/ledgerQatar/entry1`)))
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${ORG}/ledgerQatar/entry1`)))
+  })
+
+  it('lets accountants write the ledger but not employees', async () => {
+    const db = dbAs('accountant-uid')
+    await assertSucceeds(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), ledgerEntry()))
+    await assertFails(setDoc(doc(db, `${ORG}/alMarriData/emp1`), { fullName: 'Ali' }))
+  })
+
+  it('keeps recurring templates and entries awaiting review with the ledger', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/recurringTemplates/rent`), { name: 'Rent', amount: 5000, frequency: 'monthly' }))
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/recurringEntries/rent_20250101`), { templateId: 'rent', amount: 5000 }))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/recurringTemplates/rent`), { name: 'Rent', amount: 1 }))
+    await assertFails(deleteDoc(doc(dbAs('viewer-uid'), `${ORG}/recurringEntries/rent_20250101`)))
+  })
+
+  it('lets accountants save bank reconciliations but not HR', async () => {
+    const reconciliation = { mainCategory: 'Assets', subCategory: 'Bank Accounts', month: '2025-01', status: 'open', lines: [] }
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/bankReconciliations/assets__bank-accounts__2025-01`), reconciliation))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/bankReconciliations/assets__bank-accounts__2025-01`), reconciliation))
+  })
+
+  it('keeps exchange rates with the ledger', async () => {
+    const rate = { currency: 'USD', rate: 3.64, date: Timestamp.fromDate(new Date('2025-01-01T00:00:00Z')), source: 'manual' }
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/exchangeRates/USD_2025-01-01`), rate))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/exchangeRates/USD_2025-01-01`), rate))
+  })
+
+  it('lets accountants set budgets but not HR', async () => {
+    const budget = { year: 2025, mainCategory: 'Expenses', subCategory: 'Rent', company: '', period: 'annual', amount: 120000, amounts: null, notes: '' }
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/budgets/2025_all_Expenses_Rent`), budget))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/budgets/2025_all_Expenses_Rent`), budget))
+  })
+
+  it('lets HR write employees and visas but not the ledger', async () => {
+    const db = dbAs('hr-uid')
+    await assertSucceeds(setDoc(doc(db, `${ORG}/alMarriData/emp1`), { fullName: 'Ali' }))
+    await assertSucceeds(setDoc(doc(db, `${ORG}/alMarriData/emp1/documents/passport`), { name: 'Passport' }))
+    await assertSucceeds(setDoc(doc(db, `${ORG}/visa_entries/visa1`), { name: 'Ali' }))
+    await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 999 }))
+  })
+
+  it('keeps read-only members from writing anything', async () => {
+    const db = dbAs('viewer-uid')
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), ledgerEntry()))
+    await assertFails(setDoc(doc(db, `${ORG}/pageSettings/ledgerView`), { columns: [] }))
+    await assertFails(deleteDoc(doc(db, `${ORG}/ledgerQatar/entry1`)))
+  })
+
+  it('reserves the company registry for owners', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('owner-uid'), `${ORG}/settings/app_settings`), { companies: [] }))
+    await assertFails(setDoc(doc(dbAs('accountant-uid'), `${ORG}/settings/app_settings`), { companies: [] }))
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), `${ORG}/settings/businessDescriptions`), { notes: '' }))
+  })
+
+  describe('audit log', () => {
+    const entry = (uid, overrides = {}) => ({ action: 'update', module: 'Ledger', collection: 'ledgerQatar', docId: 'entry1', before: { debit: 100 }, after: { debit: 2 }, changedFields: ['debit'], actorUid: uid, actorEmail: '', actorName: '', at: serverTimestamp(), ...overrides })
+
+    // Makes the change and logs it in one batch, the way src/audit.js does
+    const audited = (uid, auditId, change, overrides = {}) => {
+      const db = dbAs(uid)
+      const batch = writeBatch(db)
+      change(batch, db)
+      batch.set(doc(db, `${ORG}/auditLog/${auditId}`), entry(uid, overrides))
+      return batch.commit()
+    }
+    const updateEntry1 = (batch, db) => batch.update(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 2 })
+
+    it('is append-only and signed by the writer', async () => {
+      await assertFails(audited('accountant-uid', 'a1', updateEntry1, { actorUid: 'owner-uid' }))
+      await assertFails(audited('accountant-uid', 'a1', updateEntry1, { at: Timestamp.fromMillis(0) }))
+      await assertFails(audited('viewer-uid', 'a1', updateEntry1))
+      await assertSucceeds(audited('accountant-uid', 'a1', updateEntry1))
+      await assertSucceeds(getDoc(doc(dbAs('viewer-uid'), `${ORG}/auditLog/a1`)))
+      await assertFails(updateDoc(doc(dbAs('owner-uid'), `${ORG}/auditLog/a1`), { after: { debit: 3 } }))
+      await assertFails(deleteDoc(doc(dbAs('owner-uid'), `${ORG}/auditLog/a1`)))
+    })
+
+    it('takes entries only with the change they describe', async () => {
+      await assertFails(setDoc(doc(dbAs('accountant-uid'), `${ORG}/auditLog/a1`), entry('accountant-uid')))
+      await assertFails(audited('accountant-uid', 'a1', updateEntry1, { docId: 'entry2' }))
+      await assertFails(audited('accountant-uid', 'a1', (batch, db) => batch.update(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 100 })))
+    })
+
+    it('matches the action to what the batch did to the record', async () => {
+      const create = (batch, db) => batch.set(doc(db, `${ORG}/ledgerQatar/entry2`), ledgerEntry())
+      const remove = (batch, db) => batch.delete(doc(db, `${ORG}/ledgerQatar/entry1`))
+      await assertFails(audited('accountant-uid', 'a1', create, { action: 'update', docId: 'entry2' }))
+      await assertSucceeds(audited('accountant-uid', 'a1', create, { action: 'create', docId: 'entry2', before: null }))
+      await assertFails(audited('accountant-uid', 'a2', remove, { action: 'create', after: null }))
+      await assertSucceeds(audited('accountant-uid', 'a2', remove, { action: 'delete', after: null }))
+      await assertFails(audited('accountant-uid', 'a3', remove, { action: 'delete', after: null }))
+    })
+  })
+
+  describe('recycle bin', () => {
+    const entry = (uid, overrides = {}) => ({ path: 'aliDocuments/doc1', module: 'Docs & Creds', collection: 'aliDocuments', docId: 'doc1', data: { name: 'Licence' }, subCollections: {}, files: [], deletedBy: uid, deletedByEmail: '', deletedAt: serverTimestamp(), expiresAt: Timestamp.fromMillis(Date.now() + 86400000), ...overrides })
+
+    // Deletes the record and bins it in one batch, the way src/audit.js does
+    const bin = (uid, trashId, overrides = {}, recordPath = 'aliDocuments/doc1') => {
+      const db = dbAs(uid)
+      const batch = writeBatch(db)
+      batch.delete(doc(db, `${ORG}/${recordPath}`))
+      batch.set(doc(db, `${ORG}/trash/${trashId}`), entry(uid, overrides))
+      return batch.commit()
+    }
+
+    beforeEach(async () => {
+      await seed(`${ORG}/aliDocuments/doc1`, { name: 'Licence' })
+    })
+
+    it('lets working members restore from it and only owners purge', async () => {
+      await assertFails(bin('hr-uid', 't1', { deletedBy: 'owner-uid' }))
+      await assertFails(bin('viewer-uid', 't1'))
+      await assertSucceeds(bin('hr-uid', 't1'))
+      await assertFails(deleteDoc(doc(dbAs('hr-uid'), `${ORG}/trash/t1`)))
+      const restore = writeBatch(dbAs('hr-uid'))
+      restore.set(doc(dbAs('hr-uid'), `${ORG}/aliDocuments/doc1`), { name: 'Licence' })
+      restore.delete(doc(dbAs('hr-uid'), `${ORG}/trash/t1`))
+      await assertSucceeds(restore.commit())
+      await assertSucceeds(bin('owner-uid', 't4'))
+      await assertFails(updateDoc(doc(dbAs('owner-uid'), `${ORG}/trash/t4`), { path: 'members/owner-uid' }))
+      await assertSucceeds(deleteDoc(doc(dbAs('owner-uid'), `${ORG}/trash/t4`)))
+    })
+
+    it('takes entries only for a record deleted in the same write', async () => {
+      await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/trash/t1`), entry('hr-uid')))
+      await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/trash/t1`), entry('hr-uid', { path: 'aliDocuments/doc2', docId: 'doc2' })))
+    })
+
+    it('refuses entries whose path is not their record, or in a collection that is never binned', async () => {
+      const forged = { path: 'members/clerk-uid', collection: 'members', docId: 'clerk-uid', data: { role: 'owner' } }
+      await assertFails(bin('hr-uid', 't1', { path: 'members/clerk-uid' }))
+      await assertFails(bin('owner-uid', 't1', forged, 'members/clerk-uid'))
+    })
+  })
+
+  it('lets only an owner create the vault record, once', async () => {
+    const vault = (uid) => ({ algorithm: 'AES-GCM-256/PBKDF2-SHA256', salt: 'c2FsdA==', iterations: 310000, check: 'enc:v1:aXY=:Y3Q=', createdBy: uid })
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/settings/vault`), vault('hr-uid')))
+    await assertFails(setDoc(doc(dbAs('owner-uid'), `${ORG}/settings/vault`), { ...vault('owner-uid'), iterations: 1000 }))
+    await assertSucceeds(setDoc(doc(dbAs('owner-uid'), `${ORG}/settings/vault`), vault('owner-uid')))
+    await assertSucceeds(getDoc(doc(dbAs('viewer-uid'), `${ORG}/settings/vault`)))
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), `${ORG}/settings/vault`), { salt: 'bmV3' }))
+    await assertFails(deleteDoc(doc(dbAs('owner-uid'), `${ORG}/settings/vault`)))
+  })
+})
+
+describe('whitelist', () => {
+  it('locks out signed-in accounts that are not whitelisted', async () => {
+    await seed(`${ORG}/members/outsider-uid`, { role: 'owner', email: 'outsider@example.com' })
+    const db = dbAs('outsider-uid')
+    await assertFails(getDoc(doc(db, `${ORG}/ledgerQatar/entry1`)))
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/orgs/outsider-uid`), { name: 'Mine', ownerUid: 'outsider-uid' }))
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/users/outsider-uid`), { orgId: 'outsider-uid' }))
+  })
+
+  it('hides the whitelist from everyone not on it', async () => {
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'authorized_users/whitelist')))
+    await assertFails(getDoc(doc(dbAs('outsider-uid'), 'authorized_users/whitelist')))
+    await assertSucceeds(getDoc(doc(dbAs('viewer-uid'), 'authorized_users/whitelist')))
+  })
+
+  it('rejects changes that skip the audit trail', async () => {
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), 'authorized_users/whitelist'), { emails: arrayUnion('outsider@example.com') }))
+  })
+
+  it('closes paths outside the documented layout', async () => {
+    await assertFails(setDoc(doc(dbAs('owner-uid'), 'artifacts/other/anything/doc'), { a: 1 }))
+    await assertFails(getDoc(doc(dbAs('owner-uid'), 'someCollection/doc')))
+  })
+})
+
+// Mirrors commitChange() in src/whitelist.js
+const auditedChange = (db, actorEmail, actorUid, action, email, changes, { create = false } = {}) => {
+  const auditRef = doc(collection(db, 'authorized_users/whitelist/audit'))
+  const batch = writeBatch(db)
+  const stamped = { ...changes, lastAuditId: auditRef.id, updatedAt: serverTimestamp(), updatedBy: actorEmail }
+  if (create) batch.set(doc(db, 'authorized_users/whitelist'), stamped)
+  else batch.update(doc(db, 'authorized_users/whitelist'), stamped)
+  batch.set(auditRef, { action, email, by: actorEmail, byUid: actorUid, at: serverTimestamp() })
+  return batch.commit()
+}
+
+describe('whitelist administration', () => {
+  it('lets an admin add an email with an audit entry', async () => {
+    const db = dbAs('owner-uid')
+    await assertSucceeds(auditedChange(db, 'owner@example.com', 'owner-uid', 'add', 'outsider@example.com', { emails: arrayUnion('outsider@example.com') }))
+  })
+
+  it('keeps non-admins from changing the list', async () => {
+    const db = dbAs('accountant-uid')
+    await assertFails(auditedChange(db, 'accountant@example.com', 'accountant-uid', 'add', 'outsider@example.com', { emails: arrayUnion('outsider@example.com') }))
+  })
+
+  it('rejects audit entries attributed to someone else', async () => {
+    const db = dbAs('owner-uid')
+    await assertFails(auditedChange(db, 'viewer@example.com', 'owner-uid', 'add', 'outsider@example.com', { emails: arrayUnion('outsider@example.com') }))
+  })
+
+  it('stops admins from suspending or demoting themselves', async () => {
+    const db = dbAs('owner-uid')
+    const emails = Object.values(MEMBERS).map((m) => m.email).filter((e) => e !== 'owner@example.com')
+    await assertFails(auditedChange(db, 'owner@example.com', 'owner-uid', 'suspend', 'owner@example.com', { emails, admins: [], suspended: ['owner@example.com'] }))
+    await assertFails(auditedChange(db, 'owner@example.com', 'owner-uid', 'revoke_admin', 'owner@example.com', { admins: [] }))
+  })
+
+  it('keeps suspended users locked out', async () => {
+    await seed('authorized_users/whitelist', { emails: ['owner@example.com'], admins: ['owner@example.com'], suspended: ['viewer@example.com'] })
+    await assertFails(getDoc(doc(dbAs('viewer-uid'), `${ORG}/ledgerQatar/entry1`)))
+  })
+
+  it('keeps the audit trail append-only and admin-readable', async () => {
+    await seed('authorized_users/whitelist/audit/a1', { action: 'add', email: 'x@example.com', by: 'owner@example.com' })
+    await assertSucceeds(getDoc(doc(dbAs('owner-uid'), 'authorized_users/whitelist/audit/a1')))
+    await assertFails(getDoc(doc(dbAs('viewer-uid'), 'authorized_users/whitelist/audit/a1')))
+    await assertFails(deleteDoc(doc(dbAs('owner-uid'), 'authorized_users/whitelist/audit/a1')))
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), 'authorized_users/whitelist/audit/a1'), { email: 'y@example.com' }))
+  })
+
+  it('lets users record only their own sign-in', async () => {
+    const db = dbAs('viewer-uid')
+    await assertSucceeds(setDoc(doc(db, 'authorized_users/whitelist/signIns/viewer@example.com'), { uid: 'viewer-uid', displayName: '', lastSignInAt: serverTimestamp() }))
+    await assertFails(setDoc(doc(db, 'authorized_users/whitelist/signIns/owner@example.com'), { uid: 'viewer-uid', displayName: '', lastSignInAt: serverTimestamp() }))
+    await assertFails(getDoc(doc(db, 'authorized_users/whitelist/signIns/viewer@example.com')))
+  })
+})
+
+describe('first administrator', () => {
+  it('can be bootstrapped only while no whitelist exists', async () => {
+    await testEnv.withSecurityRulesDisabled((context) => deleteDoc(doc(context.firestore(), 'authorized_users/whitelist')))
+    const db = dbAs('first-uid', 'first@example.com')
+    await assertSucceeds(getDoc(doc(db, 'authorized_users/whitelist')))
+    await assertSucceeds(auditedChange(db, 'first@example.com', 'first-uid', 'bootstrap', 'first@example.com',
+      { emails: ['first@example.com'], admins: ['first@example.com'], suspended: [] }, { create: true }))
+
+    const latecomer = dbAs('late-uid', 'late@example.com')
+    await assertFails(auditedChange(latecomer, 'late@example.com', 'late-uid', 'bootstrap', 'late@example.com',
+      { emails: ['late@example.com'], admins: ['late@example.com'], suspended: [] }, { create: true }))
+  })
+
+  it('cannot bootstrap with other people on the list', async () => {
+    await testEnv.withSecurityRulesDisabled((context) => deleteDoc(doc(context.firestore(), 'authorized_users/whitelist')))
+    const db = dbAs('first-uid', 'first@example.com')
+    await assertFails(auditedChange(db, 'first@example.com', 'first-uid', 'bootstrap', 'first@example.com',
+      { emails: ['first@example.com', 'friend@example.com'], admins: ['first@example.com'], suspended: [] }, { create: true }))
+  })
+
+  it('can be claimed once on a list that predates admins', async () => {
+    const emails = Object.values(MEMBERS).map((m) => m.email)
+    await seed('authorized_users/whitelist', { emails })
+    await assertSucceeds(auditedChange(dbAs('viewer-uid'), 'viewer@example.com', 'viewer-uid', 'bootstrap', 'viewer@example.com', { admins: ['viewer@example.com'], suspended: [] }))
+    await assertFails(auditedChange(dbAs('hr-uid'), 'hr@example.com', 'hr-uid', 'bootstrap', 'hr@example.com', { admins: ['hr@example.com'], suspended: [] }))
+  })
+})
+
+describe('ledger entry shape', () => {
+  const path = `${ORG}/ledgerQatar/entry2`
+
+  it('accepts a well-formed entry', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), path), ledgerEntry({ notes: 'Receipt 42' })))
+  })
+
+  it('rejects amounts that are not non-negative numbers', async () => {
+    const db = dbAs('accountant-uid')
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ debit: '50' })))
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ credit: -10 })))
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ debit: null })))
+  })
+
+  it('rejects entries without a real date', async () => {
+    const db = dbAs('accountant-uid')
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ date: '15/01/2025' })))
+    const { date, ...withoutDate } = ledgerEntry()
+    await assertFails(setDoc(doc(db, path), withoutDate))
+  })
+
+  it('rejects missing particulars and non-string categories', async () => {
+    const db = dbAs('accountant-uid')
+    const { particulars, ...withoutParticulars } = ledgerEntry()
+    await assertFails(setDoc(doc(db, path), withoutParticulars))
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ mainCategory: 7 })))
+  })
+
+  it('validates updates against the merged document', async () => {
+    const db = dbAs('accountant-uid')
+    await assertSucceeds(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { credit: 25 }))
+    await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 'lots' }))
+  })
+
+  it('accepts journal voucher lines that post to one side only', async () => {
+    const db = dbAs('accountant-uid')
+    const line = (overrides) => ledgerEntry({ voucherId: 'v1', voucherNo: 'JV-00001', lineNo: 1, narration: 'Rent', ...overrides })
+    await assertSucceeds(setDoc(doc(db, path), line()))
+    await assertSucceeds(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), line({ lineNo: 2, debit: 0, credit: 50 })))
+    await assertFails(setDoc(doc(db, path), line({ credit: 50 })))
+    await assertFails(setDoc(doc(db, path), line({ debit: 0 })))
+    await assertFails(setDoc(doc(db, path), line({ lineNo: 0 })))
+    const { voucherNo, ...withoutNumber } = line()
+    await assertFails(setDoc(doc(db, path), withoutNumber))
+  })
+
+  it('accepts foreign currency entries only with a positive rate', async () => {
+    const db = dbAs('accountant-uid')
+    const foreign = (overrides) => ledgerEntry({ debit: 364, currency: 'USD', exchangeRate: 3.64, foreignAmounts: { debit: 100, credit: 0 }, ...overrides })
+    await assertSucceeds(setDoc(doc(db, path), foreign()))
+    await assertFails(setDoc(doc(db, path), foreign({ exchangeRate: 0 })))
+    await assertFails(setDoc(doc(db, path), foreign({ exchangeRate: '3.64' })))
+    await assertFails(setDoc(doc(db, path), foreign({ currency: 'Dollars' })))
+  })
+
+  it('accepts dimension tags only as a map', async () => {
+    const db = dbAs('accountant-uid')
+    await assertSucceeds(setDoc(doc(db, path), ledgerEntry({ dimensions: { company: 'co1', vehicle: '123456', project: 'Tower A' } })))
+    await assertFails(setDoc(doc(db, path), ledgerEntry({ dimensions: 'Tower A' })))
+  })
+})
+
+describe('fiscal periods', () => {
+  const closeJanuary = () => seed(`${ORG}/fiscalPeriods/2025-01`, { month: '2025-01', status: 'closed' })
+
+  it('makes entries in a closed month read-only', async () => {
+    await closeJanuary()
+    const db = dbAs('accountant-uid')
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), ledgerEntry()))
+    await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 120 }))
+    await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { date: Timestamp.fromDate(new Date('2025-02-01T00:00:00Z')) }))
+    await assertFails(deleteDoc(doc(db, `${ORG}/ledgerQatar/entry1`)))
+    await assertSucceeds(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), ledgerEntry({ date: Timestamp.fromDate(new Date('2025-02-03T00:00:00Z')) })))
+  })
+
+  describe('account renames', () => {
+    const account = (overrides) => ({ code: '5100', name: 'Vehicles', parentId: 'expenses', type: 'expense', normalBalance: 'debit', active: true, openingBalance: 0, openingBalanceDate: null, ...overrides })
+
+    beforeEach(async () => {
+      await seed(`${ORG}/chartOfAccounts/expenses`, account({ code: '5000', name: 'Expenses', parentId: null }))
+      await seed(`${ORG}/chartOfAccounts/vehicles`, account())
+      await seed(`${ORG}/chartOfAccounts/rent`, account({ code: '5200', name: 'Rent' }))
+      await closeJanuary()
+    })
+
+    it('reach closed entries through a chart of accounts rename in the same batch', async () => {
+      const db = dbAs('accountant-uid')
+      const batch = writeBatch(db)
+      batch.update(doc(db, `${ORG}/chartOfAccounts/vehicles`), { name: 'Fleet', renamedFrom: { mainCategory: 'Expenses', subCategory: 'Vehicles' } })
+      batch.update(doc(db, `${ORG}/ledgerQatar/entry1`), { subCategory: 'Fleet', renamedAccountId: 'vehicles' })
+      await assertSucceeds(batch.commit())
+    })
+
+    it('do not let closed entries be moved to another account', async () => {
+      const db = dbAs('accountant-uid')
+      await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { subCategory: 'Fleet' }))
+      // Rent was not renamed from Vehicles, so naming it does not help
+      await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { subCategory: 'Rent', renamedAccountId: 'rent' }))
+      // and an account's former name can only be its own
+      await assertFails(updateDoc(doc(db, `${ORG}/chartOfAccounts/rent`), { renamedFrom: { mainCategory: 'Expenses', subCategory: 'Vehicles' } }))
+      await assertSucceeds(updateDoc(doc(db, `${ORG}/chartOfAccounts/rent`), { name: 'Office Rent', renamedFrom: { mainCategory: 'Expenses', subCategory: 'Rent' } }))
+    })
+  })
+
+  it('lets receipts be attached to closed entries but not removed', async () => {
+    const receipt = { name: 'receipt.pdf', storagePath: 'ledger_attachments/receipt.pdf' }
+    await seed(`${ORG}/ledgerQatar/entry1`, ledgerEntry({ attachments: [receipt] }))
+    await closeJanuary()
+    const entry = doc(dbAs('accountant-uid'), `${ORG}/ledgerQatar/entry1`)
+    await assertSucceeds(updateDoc(entry, { attachments: [receipt, { name: 'invoice.jpg', storagePath: 'ledger_attachments/invoice.jpg' }] }))
+    await assertFails(updateDoc(entry, { attachments: [] }))
+  })
+
+  it('lets accountants close periods but only owners reopen them, with a reason', async () => {
+    const path = `${ORG}/fiscalPeriods/2025-01`
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), path), { month: '2025-01', status: 'closed' }))
+    await assertFails(updateDoc(doc(dbAs('accountant-uid'), path), { status: 'open', reopenReason: 'Late invoice', reopenedAt: serverTimestamp() }))
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), path), { status: 'open' }))
+    await assertSucceeds(updateDoc(doc(dbAs('owner-uid'), path), { status: 'open', reopenReason: 'Late invoice', reopenedAt: serverTimestamp() }))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), path), { month: '2025-01', status: 'closed' }))
+  })
+})
+
+describe('ledger approvals', () => {
+  const draft = (overrides = {}) => ledgerEntry({ approvalStatus: 'pending', submittedBy: 'clerk-uid', ...overrides })
+  const review = (uid, approvalStatus, reviewComment = '') => ({ approvalStatus, reviewedBy: uid, reviewComment })
+
+  it('lets clerks post only their own entries for approval', async () => {
+    const db = dbAs('clerk-uid')
+    await assertSucceeds(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), draft()))
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), ledgerEntry()))
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), draft({ submittedBy: 'accountant-uid' })))
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), draft({ approvalStatus: 'approved' })))
+    await assertFails(updateDoc(doc(db, `${ORG}/ledgerQatar/entry1`), { debit: 1 }))
+  })
+
+  it('lets clerk entries under the threshold post approved', async () => {
+    await seed(`${ORG}/ledgerSettings/approvals`, { amount: 1000, accounts: { 'Expenses|Vehicles': 40 } })
+    const db = dbAs('clerk-uid')
+    await assertSucceeds(setDoc(doc(db, `${ORG}/ledgerQatar/entry2`), draft({ approvalStatus: 'approved', subCategory: 'Office', debit: 500 })))
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), draft({ approvalStatus: 'approved', subCategory: 'Office', debit: 1000 })))
+    await assertFails(setDoc(doc(db, `${ORG}/ledgerQatar/entry3`), draft({ approvalStatus: 'approved', debit: 50 })))
+  })
+
+  it('lets clerks change their drafts but not review them', async () => {
+    await seed(`${ORG}/ledgerQatar/entry2`, draft({ approvalStatus: 'rejected', reviewedBy: 'owner-uid', reviewComment: 'Wrong account' }))
+    const entry = doc(dbAs('clerk-uid'), `${ORG}/ledgerQatar/entry2`)
+    await assertFails(updateDoc(entry, review('clerk-uid', 'approved')))
+    await assertSucceeds(updateDoc(entry, { subCategory: 'Fuel', approvalStatus: 'pending' }))
+    await seed(`${ORG}/ledgerQatar/entry3`, draft({ approvalStatus: 'approved', reviewedBy: 'owner-uid' }))
+    await assertFails(deleteDoc(doc(dbAs('clerk-uid'), `${ORG}/ledgerQatar/entry3`)))
+    await assertSucceeds(deleteDoc(entry))
+  })
+
+  it('lets accountants approve, and reject only with a comment', async () => {
+    await seed(`${ORG}/ledgerQatar/entry2`, draft())
+    const entry = doc(dbAs('accountant-uid'), `${ORG}/ledgerQatar/entry2`)
+    await assertFails(updateDoc(entry, review('accountant-uid', 'rejected')))
+    await assertFails(updateDoc(entry, review('owner-uid', 'approved')))
+    await assertSucceeds(updateDoc(entry, review('accountant-uid', 'rejected', 'No receipt')))
+    await assertSucceeds(updateDoc(entry, review('accountant-uid', 'approved')))
+    await assertFails(updateDoc(doc(dbAs('hr-uid'), `${ORG}/ledgerQatar/entry2`), review('hr-uid', 'approved')))
+  })
+
+  it('keeps reviewers from approving entries they submitted', async () => {
+    await seed(`${ORG}/ledgerQatar/entry2`, draft({ submittedBy: 'accountant-uid' }))
+    await assertFails(updateDoc(doc(dbAs('accountant-uid'), `${ORG}/ledgerQatar/entry2`), review('accountant-uid', 'approved')))
+    await assertSucceeds(updateDoc(doc(dbAs('owner-uid'), `${ORG}/ledgerQatar/entry2`), review('owner-uid', 'approved')))
+  })
+})
+
+describe('chart of accounts', () => {
+  const path = `${ORG}/chartOfAccounts/1100`
+  const account = (overrides = {}) => ({
+    code: '1100',
+    name: 'Bank Accounts',
+    parentId: '1000',
+    type: 'asset',
+    normalBalance: 'debit',
+    active: true,
+    openingBalance: 2500,
+    openingBalanceDate: Timestamp.fromDate(new Date('2025-01-01T00:00:00Z')),
+    ...overrides,
+  })
+
+  it('lets accountants maintain accounts and everyone read them', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('accountant-uid'), path), account()))
+    await assertSucceeds(getDoc(doc(dbAs('viewer-uid'), path)))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `${ORG}/chartOfAccounts/1200`), account({ code: '1200' })))
+    await assertFails(deleteDoc(doc(dbAs('viewer-uid'), path)))
+  })
+
+  it('rejects accounts without a code, known type or normal balance', async () => {
+    const db = dbAs('accountant-uid')
+    await assertSucceeds(setDoc(doc(db, path), account({ parentId: null, openingBalance: 0, openingBalanceDate: null })))
+    await assertFails(setDoc(doc(db, path), account({ code: '' })))
+    await assertFails(setDoc(doc(db, path), account({ type: 'Assets' })))
+    await assertFails(setDoc(doc(db, path), account({ normalBalance: 'left' })))
+    await assertFails(setDoc(doc(db, path), account({ openingBalance: '2500' })))
+    await assertFails(setDoc(doc(db, path), account({ openingBalanceDate: '01/01/2025' })))
+  })
+})
+
+describe('members and invitations', () => {
+  it('lets the owner change roles but not their own', async () => {
+    const db = dbAs('owner-uid')
+    await assertSucceeds(updateDoc(doc(db, `${ORG}/members/viewer-uid`), { role: 'hr' }))
+    await assertFails(updateDoc(doc(db, `${ORG}/members/owner-uid`), { role: 'viewer' }))
+  })
+
+  it('stops members from promoting themselves', async () => {
+    await assertFails(updateDoc(doc(dbAs('viewer-uid'), `${ORG}/members/viewer-uid`), { role: 'owner' }))
+    await assertFails(setDoc(doc(dbAs('accountant-uid'), `${ORG}/members/new-uid`), { role: 'owner' }))
+  })
+
+  it('rejects unknown roles', async () => {
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), `${ORG}/members/viewer-uid`), { role: 'admin' }))
+  })
+
+  it('lets an invited user join with the invited role only', async () => {
+    await seed(`artifacts/${APP_ID}/invitations/new@example.com`, { orgId: ORG_ID, role: 'accountant' })
+    const db = dbAs('new-uid', 'new@example.com')
+    await assertFails(setDoc(doc(db, `${ORG}/members/new-uid`), { role: 'owner', email: 'new@example.com' }))
+
+    const batch = writeBatch(db)
+    batch.set(doc(db, `${ORG}/members/new-uid`), { role: 'accountant', email: 'new@example.com' })
+    batch.delete(doc(db, `artifacts/${APP_ID}/invitations/new@example.com`))
+    await assertSucceeds(batch.commit())
+  })
+
+  it('refuses to join without an invitation', async () => {
+    await assertFails(setDoc(doc(dbAs('stranger-uid'), `${ORG}/members/stranger-uid`), { role: 'viewer' }))
+  })
+
+  it('lets users create only their own organisation', async () => {
+    const db = dbAs('stranger-uid')
+    await assertSucceeds(setDoc(doc(db, `artifacts/${APP_ID}/orgs/stranger-uid`), { name: 'Mine', ownerUid: 'stranger-uid' }))
+    await assertSucceeds(setDoc(doc(db, `artifacts/${APP_ID}/orgs/stranger-uid/members/stranger-uid`), { role: 'owner' }))
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/orgs/someone-else`), { name: 'Theirs', ownerUid: 'stranger-uid' }))
+  })
+
+  it('lets only owners invite', async () => {
+    const invitation = { orgId: ORG_ID, role: 'viewer', invitedBy: 'x' }
+    await assertSucceeds(setDoc(doc(dbAs('owner-uid'), `artifacts/${APP_ID}/invitations/a@example.com`), invitation))
+    await assertFails(setDoc(doc(dbAs('hr-uid'), `artifacts/${APP_ID}/invitations/b@example.com`), invitation))
+  })
+
+  it('keeps another organisation from taking over a pending invitation', async () => {
+    await seed(`artifacts/${APP_ID}/invitations/new@example.com`, { orgId: ORG_ID, role: 'viewer' })
+    await seed(`artifacts/${APP_ID}/orgs/stranger-uid`, { name: 'Other Org', ownerUid: 'stranger-uid' })
+    await seed(`artifacts/${APP_ID}/orgs/stranger-uid/members/stranger-uid`, { role: 'owner' })
+    const invitation = `artifacts/${APP_ID}/invitations/new@example.com`
+    await assertFails(setDoc(doc(dbAs('stranger-uid'), invitation), { orgId: 'stranger-uid', role: 'owner' }))
+    await assertFails(updateDoc(doc(dbAs('owner-uid'), invitation), { orgId: 'stranger-uid' }))
+    await assertSucceeds(updateDoc(doc(dbAs('owner-uid'), invitation), { role: 'accountant' }))
+  })
+})
+
+describe('personal data', () => {
+  it('keeps the passcode private to its user', async () => {
+    const path = `artifacts/${APP_ID}/users/hr-uid/settings/passcode`
+    await assertSucceeds(setDoc(doc(dbAs('hr-uid'), path), { passcode: 'hash' }))
+    await assertFails(getDoc(doc(dbAs('owner-uid'), path)))
+  })
+
+  it('keeps pre-organisation data private to its user', async () => {
+    await seed(`artifacts/${APP_ID}/users/hr-uid/ledgerQatar/old1`, ledgerEntry())
+    await assertSucceeds(getDoc(doc(dbAs('hr-uid'), `artifacts/${APP_ID}/users/hr-uid/ledgerQatar/old1`)))
+    await assertFails(getDoc(doc(dbAs('owner-uid'), `artifacts/${APP_ID}/users/hr-uid/ledgerQatar/old1`)))
+  })
+})
+
+describe('organisation isolation', () => {
+  it('keeps members of one organisation out of another', async () => {
+    const OTHER = `artifacts/${APP_ID}/orgs/other-owner`
+    await seed(OTHER, { name: 'Other Org', ownerUid: 'other-owner' })
+    await seed(`${OTHER}/ledgerQatar/x`, ledgerEntry())
+    await assertFails(getDoc(doc(dbAs('owner-uid'), `${OTHER}/ledgerQatar/x`)))
+    await assertFails(setDoc(doc(dbAs('owner-uid'), `${OTHER}/ledgerQatar/y`), ledgerEntry()))
+    await assertFails(getDoc(doc(dbAs('owner-uid'), OTHER)))
+  })
+})
@@ -0,0 +1,146 @@
+// Storage security rules tests. Run with `npm run test:rules`, which starts the emulators.
+// Storage rules look up org membership in Firestore, so both emulators are needed.
+import { readFileSync } from 'fs'
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest'
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { doc, setDoc } from 'firebase/firestore'
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage'
+
+const APP_ID = 'test-app'
+const ORG_ID = 'owner-uid'
+const OTHER_ORG_ID = 'other-owner-uid'
+const ONE_KB = new Uint8Array(1024)
+
+let testEnv
+
+const storageAs = (uid) => testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }).storage()
+
+const metadataFor = (uid, contentType, orgId = ORG_ID) => ({ contentType, customMetadata: { orgId, uploadedBy: uid } })
+
+const employeeDocPath = (orgId = ORG_ID) => `employee_docs/${APP_ID}/${orgId}/alMarriData/emp1/passport_1.pdf`
+
+const seedMember = (orgId, uid, role) => testEnv.withSecurityRulesDisabled((context) =>
+  setDoc(doc(context.firestore(), `artifacts/${APP_ID}/orgs/${orgId}/members/${uid}`), { role }))
+
+const seedWhitelist = (emails) => testEnv.withSecurityRulesDisabled((context) =>
+  setDoc(doc(context.firestore(), 'authorized_users/whitelist'), { emails, admins: ['owner-uid@example.com'], suspended: [] }))
+
+const seedFile = (path, contentType = 'application/pdf') => testEnv.withSecurityRulesDisabled((context) =>
+  uploadBytes(ref(context.storage(), path), ONE_KB, { contentType }))
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-dashboard',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    storage: { rules: readFileSync('storage.rules', 'utf8') },
+  })
+})
+
+afterAll(async () => {
+  await testEnv?.cleanup()
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+  await testEnv.clearStorage()
+  await seedWhitelist(['owner-uid', 'accountant-uid', 'hr-uid', 'viewer-uid', 'other-owner-uid'].map((uid) => `${uid}@example.com`))
+  await seedMember(ORG_ID, 'owner-uid', 'owner')
+  await seedMember(ORG_ID, 'accountant-uid', 'accountant')
+  await seedMember(ORG_ID, 'hr-uid', 'hr')
+  await seedMember(ORG_ID, 'viewer-uid', 'viewer')
+  await seedMember(OTHER_ORG_ID, 'other-owner-uid', 'owner')
+})
+
+describe('cross-organisation access', () => {
+  it('lets members read their organisation files', async () => {
+    await seedFile(employeeDocPath())
+    await assertSucceeds(getBytes(ref(storageAs('viewer-uid'), employeeDocPath())))
+  })
+
+  it('denies reading another organisation files', async () => {
+    await seedFile(employeeDocPath())
+    await assertFails(getBytes(ref(storageAs('other-owner-uid'), employeeDocPath())))
+    await assertFails(getBytes(ref(testEnv.unauthenticatedContext().storage(), employeeDocPath())))
+  })
+
+  it('denies deleting another organisation files', async () => {
+    await seedFile(employeeDocPath())
+    await assertFails(deleteObject(ref(storageAs('other-owner-uid'), employeeDocPath())))
+  })
+
+  it('denies uploading into another organisation', async () => {
+    const storage = storageAs('other-owner-uid')
+    await assertFails(uploadBytes(ref(storage, employeeDocPath()), ONE_KB, metadataFor('other-owner-uid', 'application/pdf')))
+  })
+
+  it('denies members suspended or removed from the whitelist', async () => {
+    await seedFile(employeeDocPath())
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), 'authorized_users/whitelist'), {
+      emails: ['owner-uid@example.com', 'hr-uid@example.com'],
+      admins: ['owner-uid@example.com'],
+      suspended: ['viewer-uid@example.com'],
+    }))
+    await assertFails(getBytes(ref(storageAs('viewer-uid'), employeeDocPath())))
+    await assertFails(getBytes(ref(storageAs('accountant-uid'), employeeDocPath())))
+    await assertSucceeds(getBytes(ref(storageAs('hr-uid'), employeeDocPath())))
+  })
+
+  it('closes legacy paths without an organisation', async () => {
+    await seedFile('employee_docs/alMarriData/emp1/passport_1.pdf')
+    await assertFails(getBytes(ref(storageAs('owner-uid'), 'employee_docs/alMarriData/emp1/passport_1.pdf')))
+    await assertFails(deleteObject(ref(storageAs('owner-uid'), 'employee_docs/alMarriData/emp1/passport_1.pdf')))
+  })
+})
+
+describe('uploads', () => {
+  it('lets HR upload PDFs with the required metadata', async () => {
+    await assertSucceeds(uploadBytes(ref(storageAs('hr-uid'), employeeDocPath()), ONE_KB, metadataFor('hr-uid', 'application/pdf')))
+    await assertSucceeds(deleteObject(ref(storageAs('hr-uid'), employeeDocPath())))
+  })
+
+  it('keeps read-only members from uploading or deleting', async () => {
+    await assertFails(uploadBytes(ref(storageAs('viewer-uid'), employeeDocPath()), ONE_KB, metadataFor('viewer-uid', 'application/pdf')))
+    await seedFile(employeeDocPath())
+    await assertFails(deleteObject(ref(storageAs('viewer-uid'), employeeDocPath())))
+  })
+
+  it('rejects uploads without metadata or for someone else', async () => {
+    const storage = storageAs('hr-uid')
+    await assertFails(uploadBytes(ref(storage, employeeDocPath()), ONE_KB, { contentType: 'application/pdf' }))
+    await assertFails(uploadBytes(ref(storage, employeeDocPath()), ONE_KB, metadataFor('owner-uid', 'application/pdf')))
+    await assertFails(uploadBytes(ref(storage, employeeDocPath()), ONE_KB, metadataFor('hr-uid', 'application/pdf', OTHER_ORG_ID)))
+  })
+
+  it('limits content types per area', async () => {
+    const storage = storageAs('hr-uid')
+    const photoPath = `employee_photos/${APP_ID}/${ORG_ID}/alMarriData/emp1/photo.png`
+    const credPath = `docs_creds/${APP_ID}/${ORG_ID}/alMarri/doc1/licence.jpg`
+    await assertSucceeds(uploadBytes(ref(storage, photoPath), ONE_KB, metadataFor('hr-uid', 'image/png')))
+    await assertFails(uploadBytes(ref(storage, photoPath), ONE_KB, metadataFor('hr-uid', 'application/pdf')))
+    await assertFails(uploadBytes(ref(storage, employeeDocPath()), ONE_KB, metadataFor('hr-uid', 'image/png')))
+    await assertSucceeds(uploadBytes(ref(storage, credPath), ONE_KB, metadataFor('hr-uid', 'image/jpeg')))
+    await assertFails(uploadBytes(ref(storage, credPath), ONE_KB, metadataFor('hr-uid', 'text/html')))
+  })
+
+  it('rejects files of 10 MB or more', async () => {
+    const tooLarge = new Uint8Array(10 * 1024 * 1024)
+    await assertFails(uploadBytes(ref(storageAs('hr-uid'), employeeDocPath()), tooLarge, metadataFor('hr-uid', 'application/pdf')))
+  })
+})
+
+describe('ledger attachments', () => {
+  const receiptPath = `ledger_attachments/${APP_ID}/${ORG_ID}/ledgerQatar/entry1/1700000000000_receipt.pdf`
+
+  it('lets accountants attach and remove receipts', async () => {
+    const storage = storageAs('accountant-uid')
+    await assertSucceeds(uploadBytes(ref(storage, receiptPath), ONE_KB, metadataFor('accountant-uid', 'application/pdf')))
+    await assertSucceeds(deleteObject(ref(storage, receiptPath)))
+  })
+
+  it('keeps HR and read-only members to reading them', async () => {
+    await assertFails(uploadBytes(ref(storageAs('hr-uid'), receiptPath), ONE_KB, metadataFor('hr-uid', 'application/pdf')))
+    await seedFile(receiptPath)
+    await assertSucceeds(getBytes(ref(storageAs('viewer-uid'), receiptPath)))
+    await assertFails(deleteObject(ref(storageAs('viewer-uid'), receiptPath)))
+  })
+})
@@ -0,0 +1,69 @@
+// Chart of Accounts: seeding from the old category lists, codes, lookups and opening balance lines.
+import { describe, expect, it } from 'vitest'
+import { categoriesFromAccounts, entrySide, findAccount, nextAccountCode, openingBalanceLines, seedAccounts } from '../../src/accounts.js'
+
+const accounts = seedAccounts(
+  { Expenses: ['Rent', 'Fuel'], 'Misc Costs': ['Tea'] },
+  [{ mainCategory: 'Expenses', subCategory: 'Water' }, { mainCategory: 'Capital', subCategory: 'Drawings' }, { mainCategory: '' }],
+)
+
+describe('seedAccounts', () => {
+  it('keeps the usual codes for known groups and numbers the rest after them', () => {
+    expect(accounts.map(({ id, name, parentId }) => [id, name, parentId])).toEqual([
+      ['5000', 'Expenses', null],
+      ['5010', 'Rent', '5000'],
+      ['5020', 'Fuel', '5000'],
+      ['5030', 'Water', '5000'],
+      ['3000', 'Capital', null],
+      ['3010', 'Drawings', '3000'],
+      ['5100', 'Misc Costs', null],
+      ['5110', 'Tea', '5100'],
+    ])
+  })
+
+  it('gives accounts their group type and contra accounts the other normal balance', () => {
+    expect(findAccount(accounts, 'Misc Costs', 'Tea')).toMatchObject({ type: 'expense', normalBalance: 'debit' })
+    expect(findAccount(accounts, 'Capital', 'Drawings')).toMatchObject({ type: 'equity', normalBalance: 'debit' })
+    expect(findAccount(accounts, 'Capital')).toMatchObject({ normalBalance: 'credit' })
+  })
+})
+
+describe('lookups', () => {
+  it('find an account, or its group when the account is not in the chart', () => {
+    expect(findAccount(accounts, 'Expenses', 'Fuel').id).toBe('5020')
+    expect(findAccount(accounts, 'Expenses', 'Parking').id).toBe('5000')
+    expect(findAccount(accounts, 'Travel', 'Fuel')).toBeNull()
+  })
+
+  it('tell the side an entry normally posts to, from the chart or the old group names', () => {
+    expect(entrySide(accounts, 'Capital', 'Drawings')).toBe('debit')
+    expect(entrySide(accounts, 'Capital', 'Partner Capital')).toBe('credit')
+    expect(entrySide(accounts, 'Income', 'Sales Revenue')).toBe('credit')
+    expect(entrySide(accounts, 'Travel', '')).toBeNull()
+  })
+
+  it('list active groups and accounts in code order', () => {
+    const withInactive = accounts.map((a) => (a.name === 'Fuel' ? { ...a, active: false } : a))
+    expect(categoriesFromAccounts(withInactive)).toEqual({ Capital: ['Drawings'], Expenses: ['Rent', 'Water'], 'Misc Costs': ['Tea'] })
+  })
+})
+
+describe('nextAccountCode', () => {
+  it('numbers accounts after their siblings and groups after others of their type', () => {
+    expect(nextAccountCode(accounts, { parentId: '5000' })).toBe('5040')
+    expect(nextAccountCode(accounts, { type: 'expense' })).toBe('5200')
+    expect(nextAccountCode(accounts, { type: 'income' })).toBe('4000')
+  })
+})
+
+describe('openingBalanceLines', () => {
+  it('posts opening balances on the normal side, negative ones on the other', () => {
+    const date = new Date('2025-01-01T00:00:00Z')
+    const withBalances = accounts.map((a) => ({ ...a, openingBalance: { Rent: 500, Capital: 10000, Drawings: -200 }[a.name] || 0, openingBalanceDate: date }))
+    expect(openingBalanceLines(withBalances).map(({ id, mainCategory, subCategory, debit, credit }) => ({ id, mainCategory, subCategory, debit, credit }))).toEqual([
+      { id: 'opening-5010', mainCategory: 'Expenses', subCategory: 'Rent', debit: 500, credit: 0 },
+      { id: 'opening-3000', mainCategory: 'Capital', subCategory: '', debit: 0, credit: 10000 },
+      { id: 'opening-3010', mainCategory: 'Capital', subCategory: 'Drawings', debit: 0, credit: 200 },
+    ])
+  })
+})
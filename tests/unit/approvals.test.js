@@ -0,0 +1,60 @@
+// Approvals: which clerk entries wait for approval under the thresholds, and what submitting and reviewing store.
+import { describe, expect, it } from 'vitest'
+import { approvalThreshold, isApproved, needsApproval, reviewFields, submissionFields } from '../../src/approvals.js'
+
+const settings = { amount: 1000, accounts: { 'Expenses|': 500, 'Expenses|Rent': null, 'Income|Sales': 0 } }
+const line = (mainCategory, subCategory, debit, credit = 0) => ({ mainCategory, subCategory, debit, credit })
+const clerk = { uid: 'clerk-uid', email: 'clerk@example.com' }
+
+describe('approvalThreshold', () => {
+  it('takes the account\'s threshold, else its group\'s, else the organisation\'s', () => {
+    expect(approvalThreshold(settings, line('Expenses', 'Rent'))).toBeNull()
+    expect(approvalThreshold(settings, line('Expenses', 'Fuel'))).toBe(500)
+    expect(approvalThreshold(settings, line('Income', 'Sales'))).toBe(0)
+    expect(approvalThreshold(settings, line('Assets', 'Cash'))).toBe(1000)
+  })
+
+  it('holds every entry until the organisation sets thresholds', () => {
+    expect(approvalThreshold(null, line('Assets', 'Cash'))).toBe(0)
+    expect(approvalThreshold({ accounts: {} }, line('Assets', 'Cash'))).toBe(0)
+  })
+})
+
+describe('needsApproval', () => {
+  it('from the threshold up, on either side', () => {
+    expect(needsApproval(settings, line('Expenses', 'Fuel', 499))).toBe(false)
+    expect(needsApproval(settings, line('Expenses', 'Fuel', 500))).toBe(true)
+    expect(needsApproval(settings, line('Assets', 'Cash', 0, 1000))).toBe(true)
+    expect(needsApproval(settings, line('Income', 'Sales', 0, 0))).toBe(true)
+  })
+
+  it('never for an account without a threshold', () => {
+    expect(needsApproval(settings, line('Expenses', 'Rent', 50000))).toBe(false)
+    expect(needsApproval({ amount: null }, line('Assets', 'Cash', 50000))).toBe(false)
+  })
+})
+
+describe('submissionFields', () => {
+  it('holds a whole voucher when any of its lines needs approval', () => {
+    const voucher = [line('Expenses', 'Fuel', 600), line('Assets', 'Cash', 0, 600)]
+    expect(submissionFields(settings, voucher, clerk)).toEqual({ approvalStatus: 'pending', submittedBy: 'clerk-uid', submittedByEmail: 'clerk@example.com' })
+    expect(submissionFields(settings, [line('Expenses', 'Rent', 600), line('Assets', 'Cash', 0, 600)], clerk).approvalStatus).toBe('approved')
+  })
+
+  it('leaves only pending and rejected entries out of the books', () => {
+    expect([{}, { approvalStatus: 'approved' }, { approvalStatus: 'pending' }, { approvalStatus: 'rejected' }].map(isApproved)).toEqual([true, true, false, false])
+  })
+})
+
+describe('reviewFields', () => {
+  const accountant = { uid: 'accountant-uid', email: 'accounts@example.com' }
+
+  it('records who reviewed the entry', () => {
+    expect(reviewFields('approved', accountant)).toEqual({ approvalStatus: 'approved', reviewedBy: 'accountant-uid', reviewedByEmail: 'accounts@example.com', reviewComment: '' })
+    expect(reviewFields('rejected', accountant, ' Wrong account ').reviewComment).toBe('Wrong account')
+  })
+
+  it('refuses a rejection without a reason', () => {
+    expect(() => reviewFields('rejected', accountant, '  ')).toThrow(/Say why/)
+  })
+})
@@ -0,0 +1,141 @@
+// Recycle bin files: what a trashed record lists in `files`, and what a purge removes from Storage;
+// which deletes go to the bin; and batches that must commit in one go.
+// Firestore and Storage are replaced with in-memory fakes; no emulator is needed.
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const deleted = vi.hoisted(() => [])
+const commits = vi.hoisted(() => [])
+const stored = vi.hoisted(() => ({ docs: {}, failCommit: false }))
+
+vi.mock('../../src/firebase', () => ({ db: {}, auth: {}, storage: {} }))
+
+vi.mock('firebase/storage', () => ({
+  ref: (storage, path) => ({ fullPath: path }),
+  deleteObject: async (fileRef) => { deleted.push(fileRef.fullPath) },
+}))
+
+vi.mock('firebase/firestore', () => {
+  class FieldValue {}
+  return {
+    FieldValue,
+    Timestamp: { fromMillis: (ms) => new Date(ms) },
+    serverTimestamp: () => new FieldValue(),
+    deleteField: () => new FieldValue(),
+    doc: (parent, ...segments) => {
+      const path = [parent.path, ...segments].filter(Boolean).join('/')
+      return { path, id: path.split('/').pop() }
+    },
+    collection: (parent, ...segments) => ({ path: [parent.path, ...segments].filter(Boolean).join('/') }),
+    getDoc: async (ref) => ({ exists: () => ref.path in stored.docs, data: () => stored.docs[ref.path] }),
+    getDocs: async () => ({ docs: [] }),
+    writeBatch: () => {
+      let writes = 0
+      return {
+        set() { writes++ },
+        update() { writes++ },
+        delete() { writes++ },
+        commit: async () => {
+          if (stored.failCommit) throw new Error('permission-denied')
+          commits.push(writes)
+        },
+      }
+    },
+  }
+})
+
+const { storagePaths, purgeFromTrash, writeBatch, deleteDoc } = await import('../../src/audit.js')
+
+const ROOT = 'artifacts/app/orgs/org'
+
+const ledgerEntry = {
+  particulars: 'Office rent',
+  debit: 5000,
+  attachments: [
+    { name: 'invoice.pdf', storagePath: 'ledger_attachments/app/org/e1/invoice.pdf' },
+    { name: 'receipt.jpg', storagePath: 'ledger_attachments/app/org/e1/receipt.jpg' },
+  ],
+}
+
+beforeEach(() => {
+  deleted.length = 0
+  commits.length = 0
+  stored.docs = {}
+  stored.failCommit = false
+})
+
+describe('storagePaths', () => {
+  it('finds storage paths inside arrays and nested objects', () => {
+    expect(storagePaths(ledgerEntry)).toEqual([
+      'ledger_attachments/app/org/e1/invoice.pdf',
+      'ledger_attachments/app/org/e1/receipt.jpg',
+    ])
+  })
+
+  it('reads top-level fields and subcollection documents, once each', () => {
+    const employee = { fullName: 'Ali', photoStoragePath: 'employee_docs/app/org/photo.jpg' }
+    const documents = [{ id: 'd1', storagePath: 'employee_docs/app/org/passport.pdf' }, { id: 'd2', storagePath: 'employee_docs/app/org/passport.pdf' }]
+    expect(storagePaths(employee, { documents })).toEqual(['employee_docs/app/org/photo.jpg', 'employee_docs/app/org/passport.pdf'])
+  })
+
+  it('ignores empty paths and fields that are not storage paths', () => {
+    expect(storagePaths({ storagePath: '', url: 'https://example.com/a.pdf', attachments: [{ downloadURL: 'x' }] })).toEqual([])
+  })
+})
+
+describe('purgeFromTrash', () => {
+  it('removes the files of a ledger entry with attachments', async () => {
+    await purgeFromTrash(ROOT, [{ id: 't1', data: ledgerEntry, files: storagePaths(ledgerEntry) }])
+    expect(deleted.sort()).toEqual(['ledger_attachments/app/org/e1/invoice.pdf', 'ledger_attachments/app/org/e1/receipt.jpg'])
+  })
+
+  it('removes attachments of entries binned without them in `files`', async () => {
+    await purgeFromTrash(ROOT, [{ id: 't2', data: ledgerEntry, files: [] }])
+    expect(deleted).toHaveLength(2)
+  })
+
+  it('keeps the files when the entries could not be removed', async () => {
+    stored.failCommit = true
+    await expect(purgeFromTrash(ROOT, [{ id: 't1', data: ledgerEntry, files: storagePaths(ledgerEntry) }])).rejects.toThrow()
+    expect(deleted).toEqual([])
+  })
+})
+
+describe('deleteDoc', () => {
+  it('bins a deleted record with its audit entry', async () => {
+    stored.docs[`${ROOT}/ledgerQatar/e1`] = ledgerEntry
+    await deleteDoc({ path: `${ROOT}/ledgerQatar/e1`, id: 'e1' })
+    expect(commits).toEqual([3])
+  })
+
+  it('never bins members, settings or fiscal periods', async () => {
+    stored.docs[`${ROOT}/members/u1`] = { role: 'owner' }
+    stored.docs[`${ROOT}/fiscalPeriods/2025-01`] = { month: '2025-01', status: 'closed' }
+    await deleteDoc({ path: `${ROOT}/members/u1`, id: 'u1' })
+    await deleteDoc({ path: `${ROOT}/fiscalPeriods/2025-01`, id: '2025-01' })
+    expect(commits).toEqual([2, 2])
+  })
+})
+
+describe('writeBatch', () => {
+  // Each ledger line is written with its audit entry: two writes
+  const batchOf = (lines, options) => {
+    const batch = writeBatch({}, options)
+    for (let i = 0; i < lines; i++) batch.set({ path: `${ROOT}/ledgerQatar/e${i}`, id: `e${i}` }, { particulars: 'Fuel', debit: 10 })
+    return batch
+  }
+
+  it('splits a large batch into commits of up to 500 writes', async () => {
+    await batchOf(300).commit()
+    expect(commits).toEqual([500, 100])
+  })
+
+  it('refuses an atomic batch that needs more than one commit, writing nothing', async () => {
+    await expect(batchOf(300, { atomic: true }).commit()).rejects.toThrow(/Nothing was saved/)
+    expect(commits).toEqual([])
+  })
+
+  it('commits an atomic batch that fits', async () => {
+    await batchOf(250, { atomic: true }).commit()
+    expect(commits).toEqual([500])
+  })
+})
@@ -0,0 +1,89 @@
+// Budgets: spreading annual amounts, UTC monthly actuals, variances and the budget-burn series.
+import { describe, expect, it } from 'vitest'
+import { seedAccounts } from '../../src/accounts.js'
+import { budgetBurn, budgetId, budgetVsActual, monthlyActuals, monthlyAmounts } from '../../src/budgets.js'
+
+const accounts = seedAccounts({ Expenses: ['Rent', 'Fuel'], Income: ['Sales'] })
+const day = (iso) => new Date(`${iso}T00:00:00Z`)
+
+const rent = { year: 2025, company: '', mainCategory: 'Expenses', subCategory: 'Rent', period: 'annual', amount: 1200 }
+const sales = { year: 2025, company: '', mainCategory: 'Income', subCategory: 'Sales', period: 'monthly', amounts: [1000, 1000] }
+const companyRent = { ...rent, company: 'c1', amount: 600 }
+
+const entries = [
+  { date: day('2025-01-15'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 150, credit: 0 },
+  { date: day('2025-01-20'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 50, credit: 0, dimensions: { company: 'c1' } },
+  // New Year's Day in UTC, though still 2024 where it was entered
+  { date: new Date('2024-12-31T23:00:00-02:00'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 10, credit: 0 },
+  { date: day('2025-02-10'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 80, credit: 0 },
+  { date: day('2025-01-20'), mainCategory: 'Income', subCategory: 'Sales', debit: 0, credit: 1200 },
+  { date: day('2025-12-31'), mainCategory: 'Income', subCategory: 'Sales', debit: 1200, credit: 0, yearEndClose: true },
+  { date: day('2025-01-20'), mainCategory: 'Expenses', subCategory: 'Fuel', debit: 40, credit: 0 },
+]
+
+describe('budgets', () => {
+  it('are one per account, company and year', () => {
+    expect(budgetId(rent)).toBe('2025_all_Expenses_Rent')
+    expect(budgetId({ year: 2025, company: 'c1', mainCategory: 'Misc Costs', subCategory: '' })).toBe('2025_c1_Misc-Costs_*')
+  })
+
+  it('spread an annual amount over the months, the last taking the rounding', () => {
+    const months = monthlyAmounts({ period: 'annual', amount: 1000 })
+    expect(months.slice(0, 11).every((m) => m === 83.33)).toBe(true)
+    expect(months[11]).toBe(83.37)
+    expect(monthlyAmounts(sales)).toEqual([1000, 1000, ...Array(10).fill(0)])
+  })
+
+  it('measure actuals by UTC month in the account\'s normal direction, leaving out year-end closing', () => {
+    expect(monthlyActuals(rent, entries, accounts).slice(0, 3)).toEqual([210, 80, 0])
+    expect(monthlyActuals(sales, entries, accounts).slice(0, 2)).toEqual([1200, 0])
+    expect(monthlyActuals(companyRent, entries, accounts)[0]).toBe(50)
+  })
+})
+
+describe('budgetVsActual', () => {
+  const budgets = [rent, sales, companyRent]
+
+  it('calls overspending and income under budget unfavourable', () => {
+    const [rentRow, salesRow] = budgetVsActual(budgets, entries, accounts, { year: 2025, month: 0 })
+    expect(rentRow).toMatchObject({ type: 'expense', budgeted: 100, actual: 210, variance: -110, variancePct: -110, unfavourable: true })
+    expect(salesRow).toMatchObject({ type: 'income', budgeted: 1000, actual: 1200, variance: 200, variancePct: 20, unfavourable: false })
+  })
+
+  it('runs year to date to the end of the month, or of the year', () => {
+    const [february] = budgetVsActual(budgets, entries, accounts, { year: 2025, month: 1 })
+    expect(february).toMatchObject({ budgeted: 100, actual: 80, ytdBudgeted: 200, ytdActual: 290, ytdVariance: -90 })
+    const [year] = budgetVsActual(budgets, entries, accounts, { year: 2025 })
+    expect(year).toMatchObject({ budgeted: 1200, actual: 290, variance: 910, ytdBudgeted: 1200 })
+  })
+
+  it('compares a company\'s budget with the entries tagged with that company', () => {
+    const rows = budgetVsActual(budgets, entries, accounts, { year: 2025, month: 0, company: 'c1' })
+    expect(rows.map((r) => [r.budget, r.budgeted, r.actual])).toEqual([[companyRent, 50, 50]])
+  })
+})
+
+describe('budgetBurn', () => {
+  const budgets = [rent, sales, companyRent]
+
+  it('adds up expense budgets and spending by month, spending up to the current month', () => {
+    const burn = budgetBurn(budgets, entries, accounts, { year: 2025, asOf: day('2025-02-15') })
+    expect(burn.slice(0, 3)).toEqual([
+      { month: 0, budgeted: 100, actual: 210 },
+      { month: 1, budgeted: 200, actual: 290 },
+      { month: 2, budgeted: 300, actual: null },
+    ])
+    expect(burn[11].budgeted).toBe(1200)
+  })
+
+  it('finds the current month in UTC', () => {
+    const burn = budgetBurn(budgets, entries, accounts, { year: 2025, asOf: new Date('2025-02-28T23:30:00-02:00') })
+    expect(burn[2].actual).toBe(290)
+    expect(burn[3].actual).toBeNull()
+  })
+
+  it('shows all of a past year\'s spending and none of a future one\'s', () => {
+    expect(budgetBurn(budgets, entries, accounts, { year: 2025, asOf: day('2026-01-01') })[11].actual).toBe(290)
+    expect(budgetBurn(budgets, entries, accounts, { year: 2025, asOf: day('2024-12-31') }).every((m) => m.actual === null)).toBe(true)
+  })
+})
@@ -0,0 +1,77 @@
+// Comparative reports: the periods compared (UTC months), the entries in or up to them, and report rows matched across them.
+import { describe, expect, it } from 'vitest'
+import { changeFrom, compareRows, comparisonPeriods, entriesIn, entriesTo } from '../../src/comparatives.js'
+
+const utcDay = (date) => [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+const span = ({ from, to, label }) => ({ from: utcDay(from), to: utcDay(to), label })
+
+describe('comparisonPeriods', () => {
+  it('compares a month with the one before, across a year end', () => {
+    const { current, prior } = comparisonPeriods('previousMonth', { year: 2025, month: 0 })
+    expect(span(current)).toEqual({ from: [2025, 1, 1], to: [2025, 1, 31], label: 'Jan 2025' })
+    expect(span(prior)).toEqual({ from: [2024, 12, 1], to: [2024, 12, 31], label: 'Dec 2024' })
+  })
+
+  it('compares whole years', () => {
+    const { current, prior } = comparisonPeriods('previousYear', { year: 2025, month: 5 })
+    expect(span(current)).toEqual({ from: [2025, 1, 1], to: [2025, 12, 31], label: '2025' })
+    expect(span(prior)).toEqual({ from: [2024, 1, 1], to: [2024, 12, 31], label: '2024' })
+  })
+
+  it('compares year to date with the same months a year earlier, to the end of the month', () => {
+    const { current, prior } = comparisonPeriods('ytd', { year: 2024, month: 1 })
+    expect(span(current)).toEqual({ from: [2024, 1, 1], to: [2024, 2, 29], label: 'YTD Jan–Feb 2024' })
+    expect(span(prior)).toEqual({ from: [2023, 1, 1], to: [2023, 2, 28], label: 'YTD Jan–Feb 2023' })
+  })
+
+  it('is null without a comparison', () => {
+    expect(comparisonPeriods('', { year: 2025, month: 0 })).toBeNull()
+  })
+})
+
+describe('entriesIn and entriesTo', () => {
+  const { current } = comparisonPeriods('previousMonth', { year: 2025, month: 2 })
+  const entries = [
+    { id: 'before', date: new Date('2025-02-28T00:00:00Z') },
+    { id: 'first', date: new Date('2025-03-01T00:00:00Z') },
+    { id: 'last', date: new Date('2025-03-31T23:30:00Z') },
+    { id: 'after', date: new Date('2025-04-01T00:00:00Z') },
+    { id: 'undated' },
+  ]
+
+  it('take the period\'s entries for the P&L, in UTC and to the end of the last day', () => {
+    expect(current.from.toISOString()).toBe('2025-03-01T00:00:00.000Z')
+    expect(entriesIn(entries, current).map((entry) => entry.id)).toEqual(['first', 'last'])
+  })
+
+  it('take everything up to the end of the period for the Balance Sheet', () => {
+    expect(entriesTo(entries, current).map((entry) => entry.id)).toEqual(['before', 'first', 'last'])
+  })
+})
+
+describe('compareRows', () => {
+  it('matches rows on key, with the change in amount and per cent', () => {
+    const rows = compareRows(
+      [{ key: 'rent', particulars: 'Rent', amount: 6000 }, { key: 'fuel', particulars: 'Fuel', amount: 450 }],
+      [{ key: 'rent', particulars: 'Rent', amount: 5000 }, { key: 'fuel', particulars: 'Fuel', amount: 600 }],
+    )
+    expect(rows).toEqual([
+      { key: 'rent', particulars: 'Rent', amount: 6000, prior: 5000, change: 1000, changePct: 20 },
+      { key: 'fuel', particulars: 'Fuel', amount: 450, prior: 600, change: -150, changePct: -25 },
+    ])
+  })
+
+  it('shows accounts with activity in one period only, those from the prior period last', () => {
+    const rows = compareRows([{ key: 'new', particulars: 'Visa fees', amount: 300 }], [{ key: 'old', particulars: 'Old lease', amount: 1200 }])
+    expect(rows).toEqual([
+      { key: 'new', particulars: 'Visa fees', amount: 300, prior: 0, change: 300, changePct: null },
+      { key: 'old', particulars: 'Old lease', amount: 0, prior: 1200, change: -1200, changePct: -100 },
+    ])
+  })
+})
+
+describe('changeFrom', () => {
+  it('measures the per cent change against the size of a negative prior amount', () => {
+    expect(changeFrom(-50, -200)).toEqual({ change: 150, changePct: 75 })
+  })
+})
@@ -0,0 +1,46 @@
+// Realised exchange gains and losses on foreign-currency ledger accounts, at average cost.
+import { describe, expect, it } from 'vitest'
+import { realisedFxEvents, withCurrency } from '../../src/currency.js'
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`)
+const usd = (id, date, debit, credit, rate, subCategory = 'USD Account') => ({
+  id,
+  date: day(date),
+  mainCategory: 'Bank',
+  subCategory,
+  ...withCurrency({ debit, credit }, ['debit', 'credit'], 'USD', rate),
+})
+
+describe('realisedFxEvents', () => {
+  it('realises the difference between average cost and the settlement rate', () => {
+    const events = realisedFxEvents([
+      usd('buy', '2025-01-05', 1000, 0, 3.64),
+      usd('sell1', '2025-02-05', 0, 400, 3.7),
+      usd('sell2', '2025-03-05', 0, 800, 3.6),
+    ])
+    expect(events.map(({ entryId, foreignSettled, gain }) => ({ entryId, foreignSettled, gain }))).toEqual([
+      { entryId: 'sell1', foreignSettled: 400, gain: 24 },
+      // Only the 600 still held is settled; the other 200 opens a position the other way
+      { entryId: 'sell2', foreignSettled: 600, gain: -24 },
+    ])
+  })
+
+  it('follows the entries in date order, whatever order they come in', () => {
+    const events = realisedFxEvents([usd('sell1', '2025-02-05', 0, 400, 3.7), usd('buy', '2025-01-05', 1000, 0, 3.64)])
+    expect(events.map((event) => event.gain)).toEqual([24])
+  })
+
+  it('keeps each account separate and has nothing to realise at an unchanged rate', () => {
+    const events = realisedFxEvents([
+      usd('buy', '2025-01-05', 1000, 0, 3.64),
+      usd('other', '2025-02-05', 0, 400, 3.7, 'USD Savings'),
+      usd('flat', '2025-02-06', 0, 500, 3.64),
+    ])
+    expect(events).toEqual([])
+  })
+
+  it('ignores entries in QAR', () => {
+    const qar = { id: 'q', date: day('2025-01-10'), mainCategory: 'Bank', subCategory: 'USD Account', ...withCurrency({ debit: 0, credit: 100 }, ['debit', 'credit']) }
+    expect(realisedFxEvents([usd('buy', '2025-01-05', 1000, 0, 3.64), qar])).toEqual([])
+  })
+})
@@ -0,0 +1,62 @@
+// Dimensions: tags on entries, reading and migrating the old vehicle suffix and company field, and the P&L pivot.
+import { describe, expect, it } from 'vitest'
+import { cleanDimensions, dimensionId, dimensionValue, entryDimensions, migrateEntry, needsMigration, pivotByDimension, splitVehicleSuffix, usedValues } from '../../src/dimensions.js'
+
+const legacy = { particulars: 'Diesel (Vehicle: 12345)', company: 'c1', mainCategory: 'Expenses', subCategory: 'Fuel', debit: 100, credit: 0 }
+
+describe('dimensionId', () => {
+  it('camel-cases the label and avoids ids already taken', () => {
+    expect(dimensionId('Cost Centre')).toBe('costCentre')
+    expect(dimensionId('Project', [{ id: 'project' }, { id: 'project2' }])).toBe('project3')
+    expect(dimensionId('  ')).toBe('dimension')
+  })
+})
+
+describe('entry tags', () => {
+  it('read the old vehicle suffix and company of entries not yet migrated', () => {
+    expect(splitVehicleSuffix(legacy.particulars)).toEqual({ particulars: 'Diesel', vehicle: '12345' })
+    expect(entryDimensions(legacy)).toEqual({ company: 'c1', vehicle: '12345' })
+    expect(dimensionValue(legacy, 'vehicle')).toBe('12345')
+    expect(dimensionValue(legacy, 'project')).toBe('')
+  })
+
+  it('come only from `dimensions` once an entry has them', () => {
+    const entry = { ...legacy, dimensions: { project: 'Tower' } }
+    expect(entryDimensions(entry)).toEqual({ project: 'Tower' })
+    expect(needsMigration(entry)).toBe(false)
+  })
+
+  it('are stored trimmed and without empty values', () => {
+    expect(cleanDimensions({ vehicle: ' 12345 ', project: '', employee: null })).toEqual({ vehicle: '12345' })
+  })
+
+  it('move out of the particulars and company field when an entry is migrated', () => {
+    expect(needsMigration(legacy)).toBe(true)
+    expect(needsMigration({ particulars: 'Office tea' })).toBe(false)
+    expect(migrateEntry(legacy)).toEqual({ particulars: 'Diesel', dimensions: { company: 'c1', vehicle: '12345' } })
+  })
+})
+
+describe('reports', () => {
+  const typeOf = (group) => ({ Income: 'income', Expenses: 'expense', Bank: 'asset' })[group]
+  const entries = [
+    legacy,
+    { mainCategory: 'Expenses', subCategory: 'Fuel', debit: 40, credit: 0, dimensions: { vehicle: '9876' } },
+    { mainCategory: 'Expenses', subCategory: 'Fuel', debit: 25, credit: 0 },
+    { mainCategory: 'Income', subCategory: 'Hire', debit: 0, credit: 500, dimensions: { vehicle: '12345' } },
+    { mainCategory: 'Bank', subCategory: 'QNB', debit: 500, credit: 0, dimensions: { vehicle: '12345' } },
+  ]
+
+  it('list the values used, in natural order', () => {
+    expect(usedValues([...entries, { dimensions: { vehicle: '700' } }], 'vehicle')).toEqual(['700', '9876', '12345'])
+  })
+
+  it('pivot income and expense by value in the normal direction, untagged entries last', () => {
+    const { columns, rows } = pivotByDimension(entries, 'vehicle', typeOf)
+    expect(columns).toEqual(['9876', '12345', ''])
+    expect(rows).toEqual([
+      { mainCategory: 'Expenses', subCategory: 'Fuel', type: 'expense', amounts: { 12345: 100, 9876: 40, '': 25 }, total: 165 },
+      { mainCategory: 'Income', subCategory: 'Hire', type: 'income', amounts: { 12345: 500 }, total: 500 },
+    ])
+  })
+})
@@ -0,0 +1,51 @@
+// Likely duplicate ledger entries: same UTC day, same amounts, similar particulars.
+import { describe, expect, it } from 'vitest'
+import { flagDuplicates, pairKey, particularsSimilarity } from '../../src/duplicates.js'
+
+const entry = (id, particulars, { date = '2025-04-10T09:00:00Z', debit = 250, credit = 0, ...rest } = {}) => ({ id, particulars, date: new Date(date), debit, credit, ...rest })
+
+const ledger = [
+  entry('e1', 'Fuel - Woqod Station'),
+  entry('e2', 'Office stationery', { debit: 80 }),
+]
+
+describe('flagDuplicates', () => {
+  it('flags an incoming entry matching an existing one on day, amounts and particulars', () => {
+    const flagged = flagDuplicates([entry('n1', 'fuel woqod station', { date: '2025-04-10T20:00:00Z' })], ledger)
+    expect(flagged).toHaveLength(1)
+    expect(flagged[0].entry.id).toBe('n1')
+    expect(flagged[0].matches.map((m) => m.entry.id)).toEqual(['e1'])
+    expect(flagged[0].matches[0].similarity).toBe(1)
+  })
+
+  it('needs the same day, the same debit and credit, and similar particulars', () => {
+    const incoming = [
+      entry('n1', 'Fuel - Woqod Station', { date: '2025-04-11T09:00:00Z' }),
+      entry('n2', 'Fuel - Woqod Station', { debit: 251 }),
+      entry('n3', 'Fuel - Woqod Station', { debit: 0, credit: 250 }),
+      entry('n4', 'Salary advance'),
+    ]
+    expect(flagDuplicates(incoming, ledger)).toEqual([])
+  })
+
+  it('also flags an incoming entry matching one before it in the same import', () => {
+    const flagged = flagDuplicates([entry('n1', 'Water delivery', { debit: 40 }), entry('n2', 'Water delivery.', { debit: 40 })], ledger)
+    expect(flagged.map(({ entry: e, matches }) => [e.id, matches.map((m) => m.entry.id)])).toEqual([['n2', ['n1']]])
+  })
+
+  it('skips pairs kept after review and lines of the same voucher', () => {
+    expect(flagDuplicates([entry('n1', 'Fuel - Woqod Station')], ledger, { kept: new Set([pairKey('e1', 'n1')]) })).toEqual([])
+    const lines = [entry('l1', 'Transfer', { voucherId: 'v1' }), entry('l2', 'Transfer', { voucherId: 'v1' })]
+    expect(flagDuplicates(lines)).toEqual([])
+  })
+
+  it('ignores an old vehicle suffix when comparing particulars', () => {
+    expect(particularsSimilarity('Fuel (Vehicle: 12345)', 'fuel')).toBe(1)
+  })
+})
+
+describe('pairKey', () => {
+  it('is the same whichever way round the ids come', () => {
+    expect(pairKey('b', 'a')).toBe(pairKey('a', 'b'))
+  })
+})
@@ -0,0 +1,85 @@
+// Undo steps: which commits are recorded together, and what undo writes back.
+// Firestore is replaced with an in-memory fake; no emulator is needed.
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const stored = vi.hoisted(() => ({ docs: {} }))
+
+vi.mock('../../src/firebase', () => ({ db: {}, auth: {}, storage: {} }))
+
+vi.mock('firebase/storage', () => ({ ref: () => ({}), deleteObject: async () => {} }))
+
+vi.mock('firebase/firestore', () => {
+  class FieldValue {}
+  return {
+    FieldValue,
+    Timestamp: { fromMillis: (ms) => new Date(ms) },
+    serverTimestamp: () => new FieldValue(),
+    deleteField: () => new FieldValue(),
+    doc: (parent, ...segments) => {
+      const path = [parent.path, ...segments].filter(Boolean).join('/')
+      return { path, id: path.split('/').pop() }
+    },
+    collection: (parent, ...segments) => ({ path: [parent.path, ...segments].filter(Boolean).join('/') }),
+    getDoc: async (ref) => ({ exists: () => ref.path in stored.docs, data: () => stored.docs[ref.path] }),
+    getDocs: async () => ({ docs: [] }),
+    writeBatch: () => {
+      const writes = []
+      return {
+        set(ref, data) { writes.push(() => { stored.docs[ref.path] = data }) },
+        update(ref, data) { writes.push(() => { stored.docs[ref.path] = { ...stored.docs[ref.path], ...data } }) },
+        delete(ref) { writes.push(() => { delete stored.docs[ref.path] }) },
+        commit: async () => writes.forEach((write) => write()),
+      }
+    },
+  }
+})
+
+const { setDoc, updateDoc } = await import('../../src/audit.js')
+const { clearHistory, createStep, subscribeHistory, undo } = await import('../../src/history.js')
+
+const ledger = { path: 'artifacts/app/orgs/org/ledgerQatar' }
+const entry = (id) => ({ path: `${ledger.path}/${id}`, id })
+
+let history
+subscribeHistory((snapshot) => { history = snapshot })
+
+beforeEach(() => {
+  stored.docs = {}
+  clearHistory()
+})
+
+describe('undo steps', () => {
+  it('are one per commit when the writes name no step', async () => {
+    await setDoc(entry('e1'), { debit: 1 })
+    await setDoc(entry('e2'), { debit: 2 })
+    expect(history.undo.map((step) => step.label)).toEqual(['Created 1 Ledger record', 'Created 1 Ledger record'])
+  })
+
+  it('group the commits made with the same step, under its name', async () => {
+    const step = createStep('Import Ledger Data')
+    await setDoc(entry('e1'), { debit: 1 }, { step })
+    await setDoc(entry('e2'), { debit: 2 }, { step })
+    expect(history.undo).toHaveLength(1)
+    expect(history.undo[0]).toMatchObject({ label: 'Import Ledger Data', summary: 'Created 2 Ledger records' })
+  })
+
+  it('leave out commits made in between without the step', async () => {
+    const step = createStep('Import Ledger Data')
+    await setDoc(entry('e1'), { debit: 1 }, { step })
+    await setDoc(entry('other'), { debit: 9 })
+    await setDoc(entry('e2'), { debit: 2 }, { step })
+    expect(history.undo.map((s) => [s.label, s.changes.length])).toEqual([['Created 1 Ledger record', 1], ['Import Ledger Data', 2]])
+  })
+
+  it('are undone in one go, back to the state before the first write', async () => {
+    stored.docs[entry('e1').path] = { debit: 1 }
+    const step = createStep('Adjust')
+    await updateDoc(entry('e1'), { debit: 5 }, { step })
+    await updateDoc(entry('e1'), { debit: 7 }, { step })
+    await setDoc(entry('e2'), { debit: 2 }, { step })
+    await undo()
+    expect(stored.docs[entry('e1').path]).toEqual({ debit: 1 })
+    expect(entry('e2').path in stored.docs).toBe(false)
+    expect(history.redo.map((s) => s.label)).toEqual(['Adjust'])
+  })
+})
@@ -0,0 +1,87 @@
+// Ledger queries: the General Ledger's filters, how they read in words, and saved filter sets.
+import { describe, expect, it } from 'vitest'
+import { EMPTY_FILTERS, activeFilterCount, describeFilters, entryMatcher, normaliseFilters, withSavedQuery } from '../../src/ledgerQueries.js'
+
+const parseDate = (text) => {
+  const [d, m, y] = text.split('/').map(Number)
+  return new Date(y, m - 1, d)
+}
+
+const entries = [
+  { id: 'rent', date: new Date(2025, 0, 5), mainCategory: 'Expenses', subCategory: 'Rent', debit: 6000, credit: 0, particulars: 'January rent', partnerName: 'Al Sadd Properties' },
+  { id: 'fuel', date: new Date(2025, 0, 31, 23, 30), mainCategory: 'Expenses', subCategory: 'Fuel', debit: 120, credit: 0, particulars: 'Diesel', dimensions: { vehicle: '12345' }, attachments: [{ name: 'receipt.jpg' }] },
+  { id: 'sale', date: new Date(2025, 1, 1), mainCategory: 'Income', subCategory: 'Sales', debit: 0, credit: 2500, particulars: 'Invoice 7' },
+  { id: 'undated', mainCategory: 'Expenses', subCategory: 'Fuel', debit: 50, credit: 0 },
+]
+
+const matching = (filters, options = {}) => entries.filter(entryMatcher(filters, { parseDate, ...options })).map((e) => e.id)
+
+describe('normaliseFilters and activeFilterCount', () => {
+  it('fill in empty fields and drop empty dimension values', () => {
+    expect(normaliseFilters({ side: 'debit', accounts: ['Expenses|', 'Expenses|'], dimensions: { vehicle: '', project: 'Tower' } }))
+      .toEqual({ ...EMPTY_FILTERS, side: 'debit', accounts: ['Expenses|'], dimensions: { project: 'Tower' } })
+  })
+
+  it('count each field set, the accounts once and each dimension', () => {
+    expect(activeFilterCount({})).toBe(0)
+    expect(activeFilterCount({ from: '01/01/2025', minAmount: 0, accounts: ['Expenses|Rent', 'Income|'], dimensions: { vehicle: '12345', project: '' } })).toBe(4)
+  })
+})
+
+describe('entryMatcher', () => {
+  it('matches everything without filters, undated entries included', () => {
+    expect(matching({})).toEqual(['rent', 'fuel', 'sale', 'undated'])
+  })
+
+  it('includes the whole of the To date, and leaves out undated entries with a range', () => {
+    expect(matching({ from: '05/01/2025', to: '31/01/2025' })).toEqual(['rent', 'fuel'])
+    expect(matching({ from: '06/01/2025' })).toEqual(['fuel', 'sale'])
+  })
+
+  it('filters on amount and side', () => {
+    expect(matching({ minAmount: '100', maxAmount: '3000' })).toEqual(['fuel', 'sale'])
+    expect(matching({ side: 'credit' })).toEqual(['sale'])
+  })
+
+  it('takes a whole group or single accounts', () => {
+    expect(matching({ accounts: ['Expenses|'] })).toEqual(['rent', 'fuel', 'undated'])
+    expect(matching({ accounts: ['Expenses|Rent', 'Income|Sales'] })).toEqual(['rent', 'sale'])
+  })
+
+  it('looks for the partner in the name and particulars', () => {
+    expect(matching({ partner: 'sadd' })).toEqual(['rent'])
+    expect(matching({ partner: ' INVOICE ' })).toEqual(['sale'])
+  })
+
+  it('filters on attachments, reconciliation and dimensions', () => {
+    expect(matching({ attachment: 'without' })).toEqual(['rent', 'sale', 'undated'])
+    const statusOf = (entry) => ({ rent: 'reconciled', fuel: 'matched' })[entry.id] || null
+    expect(matching({ reconciliation: 'reconciled' }, { statusOf })).toEqual(['rent'])
+    expect(matching({ reconciliation: 'unreconciled' }, { statusOf })).toEqual(['fuel', 'sale', 'undated'])
+    expect(matching({ dimensions: { vehicle: '12345' } })).toEqual(['fuel'])
+  })
+})
+
+describe('describeFilters', () => {
+  it('puts each filter set into words', () => {
+    const filters = { to: '31/01/2025', minAmount: '100', accounts: ['Expenses|', 'Income|Sales'], side: 'debit', partner: ' sadd ', reconciliation: 'unreconciled', dimensions: { vehicle: '12345' } }
+    expect(describeFilters(filters, (id, value) => [id === 'vehicle' ? 'Vehicle' : id, value])).toEqual([
+      'Dates: start to 31/01/2025',
+      'Amount: 100 to any',
+      'Accounts: All of Expenses, Sales (Income)',
+      'Debit only',
+      'Partner / name contains "sadd"',
+      'Not reconciled',
+      'Vehicle: 12345',
+    ])
+    expect(describeFilters({})).toEqual([])
+  })
+})
+
+describe('withSavedQuery', () => {
+  it('replaces a set of the same name, whatever its case, and keeps them in name order', () => {
+    const queries = [{ name: 'Rent', filters: {} }, { name: 'Fuel', filters: {} }]
+    const saved = withSavedQuery(queries, { name: 'rent', filters: { side: 'debit' } })
+    expect(saved).toEqual([{ name: 'Fuel', filters: {} }, { name: 'rent', filters: { side: 'debit' } }])
+  })
+})
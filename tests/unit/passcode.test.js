@@ -0,0 +1,60 @@
+// Dashboard passcode: PBKDF2 records, legacy btoa() records that need re-hashing, and the lockout schedule.
+import { describe, expect, it } from 'vitest'
+import { PASSCODE_ALGORITHM, PBKDF2_ITERATIONS, createPasscodeHash, lockoutDuration, verifyPasscode } from '../../src/passcode.js'
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+
+// A PBKDF2 record hashed with fewer iterations than today's
+async function weakerRecord(passcode, iterations) {
+  const salt = new Uint8Array(16).fill(7)
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits'])
+  const hash = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256))
+  return { algorithm: PASSCODE_ALGORITHM, hash: toBase64(hash), salt: toBase64(salt), iterations }
+}
+
+describe('createPasscodeHash and verifyPasscode', () => {
+  it('accepts the passcode a record was made from, and nothing else', async () => {
+    const record = await createPasscodeHash('482913')
+    expect(record).toMatchObject({ algorithm: PASSCODE_ALGORITHM, iterations: PBKDF2_ITERATIONS })
+    expect(record.hash).not.toContain('482913')
+    expect(await verifyPasscode('482913', record)).toEqual({ ok: true, needsUpgrade: false })
+    expect(await verifyPasscode('482914', record)).toEqual({ ok: false, needsUpgrade: false })
+  })
+
+  it('salts each record', async () => {
+    const [a, b] = await Promise.all([createPasscodeHash('482913'), createPasscodeHash('482913')])
+    expect(a.salt).not.toBe(b.salt)
+    expect(a.hash).not.toBe(b.hash)
+  })
+
+  it('asks for records with fewer iterations to be re-hashed', async () => {
+    const record = await weakerRecord('482913', 1000)
+    expect(await verifyPasscode('482913', record)).toEqual({ ok: true, needsUpgrade: true })
+  })
+
+  it('refuses a missing passcode or record', async () => {
+    expect(await verifyPasscode('', await weakerRecord('482913', 1000))).toEqual({ ok: false, needsUpgrade: false })
+    expect(await verifyPasscode('482913', null)).toEqual({ ok: false, needsUpgrade: false })
+  })
+})
+
+describe('legacy records', () => {
+  const legacy = { hash: btoa('qbg-dashboard-salt-2024123456qbg-dashboard-salt-2024') }
+
+  it('are still accepted, and always need re-hashing', async () => {
+    expect(await verifyPasscode('123456', legacy)).toEqual({ ok: true, needsUpgrade: true })
+    expect(await verifyPasscode('654321', legacy)).toEqual({ ok: false, needsUpgrade: true })
+  })
+})
+
+describe('lockoutDuration', () => {
+  it('allows three attempts, then locks for 30 seconds doubling each time', () => {
+    expect([0, 1, 2].map(lockoutDuration)).toEqual([0, 0, 0])
+    expect([3, 4, 5, 6].map(lockoutDuration)).toEqual([30000, 60000, 120000, 240000])
+  })
+
+  it('never locks for more than an hour', () => {
+    expect(lockoutDuration(10)).toBe(60 * 60 * 1000)
+    expect(lockoutDuration(100)).toBe(60 * 60 * 1000)
+  })
+})
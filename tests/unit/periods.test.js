@@ -0,0 +1,62 @@
+// Fiscal periods: UTC month ids, closed-month checks and the year-end closing voucher.
+import { describe, expect, it } from 'vitest'
+import { RETAINED_EARNINGS, closedMonths, closedPeriodsOf, isInClosedPeriod, periodId, periodLabel, retainedEarningsAccount, yearEndLines } from '../../src/periods.js'
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`)
+
+describe('periods', () => {
+  it('are calendar months in UTC', () => {
+    expect(periodId(day('2025-03-01'))).toBe('2025-03')
+    expect(periodId(new Date('2025-02-28T23:30:00-02:00'))).toBe('2025-03')
+    expect(periodId({ toDate: () => day('2024-12-31') })).toBe('2024-12')
+    expect(periodId('not a date')).toBeNull()
+    expect(periodLabel('2025-03')).toBe('Mar 2025')
+  })
+
+  it('are closed only by a closed month record', () => {
+    const closed = closedMonths([{ id: '2025-01', status: 'closed' }, { id: '2025-02', status: 'open' }, { id: 'FY2024', status: 'closed' }])
+    expect([...closed]).toEqual(['2025-01'])
+    expect(isInClosedPeriod(closed, day('2025-01-31'))).toBe(true)
+    expect(isInClosedPeriod(closed, day('2025-02-01'))).toBe(false)
+    expect(isInClosedPeriod(closed, null)).toBe(false)
+  })
+
+  it('list the closed months a set of dates touches, once each and in order', () => {
+    const closed = new Set(['2025-01', '2024-11'])
+    expect(closedPeriodsOf(closed, [day('2025-01-09'), day('2025-02-01'), day('2024-11-30'), day('2025-01-20')])).toEqual(['2024-11', '2025-01'])
+  })
+})
+
+describe('yearEndLines', () => {
+  const typeOf = (group) => ({ Income: 'income', Expenses: 'expense', Bank: 'asset' })[group]
+  const entries = [
+    { date: day('2024-03-10'), mainCategory: 'Income', subCategory: 'Sales', debit: 0, credit: 10000 },
+    { date: day('2024-05-01'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 6000, credit: 0 },
+    { date: day('2024-05-01'), mainCategory: 'Bank', subCategory: 'QNB', debit: 4000, credit: 0 },
+    { date: day('2025-01-02'), mainCategory: 'Expenses', subCategory: 'Rent', debit: 500, credit: 0 },
+    { date: day('2024-07-01'), mainCategory: 'Expenses', subCategory: 'Fuel', debit: 100, credit: 0 },
+    { date: day('2024-07-02'), mainCategory: 'Expenses', subCategory: 'Fuel', debit: 0, credit: 100 },
+  ]
+
+  it('reverses each income and expense account of the year into Retained Earnings', () => {
+    const { lines, netResult } = yearEndLines(entries, 2024, typeOf)
+    expect(netResult).toBe(4000)
+    expect(lines).toEqual([
+      { mainCategory: 'Expenses', subCategory: 'Rent', debit: 0, credit: 6000 },
+      { mainCategory: 'Income', subCategory: 'Sales', debit: 10000, credit: 0 },
+      { ...RETAINED_EARNINGS, debit: 0, credit: 4000 },
+    ])
+  })
+
+  it('debits Retained Earnings with a loss', () => {
+    const { lines, netResult } = yearEndLines(entries.filter((e) => e.mainCategory !== 'Income'), 2024, typeOf)
+    expect(netResult).toBe(-6000)
+    expect(lines.at(-1)).toEqual({ ...RETAINED_EARNINGS, debit: 6000, credit: 0 })
+  })
+
+  it('closes into the chart\'s own Retained Earnings account when it has one', () => {
+    const chart = [{ id: 'eq', name: 'Capital', type: 'equity', parentId: null }, { id: 're', name: 'Retained Earnings', type: 'equity', parentId: 'eq' }]
+    expect(retainedEarningsAccount(chart)).toEqual({ mainCategory: 'Capital', subCategory: 'Retained Earnings' })
+    expect(retainedEarningsAccount([])).toEqual(RETAINED_EARNINGS)
+  })
+})
@@ -0,0 +1,99 @@
+// Rapid entry grid: rows pasted from Excel, and the checks a row passes before it posts.
+import { describe, expect, it } from 'vitest'
+import { contraAccountOf, gridRowEntry, isBlankRow, emptyGridRow, parseAmount, parsePastedRows, validateGridRow } from '../../src/rapidEntry.js'
+
+// dd/mm/yyyy, as the app's parseDateForFirestore reads it
+const parseDate = (text) => {
+  const match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/)
+  return match ? new Date(Date.UTC(+match[3], +match[2] - 1, +match[1])) : null
+}
+
+const categories = {
+  Expenses: ['Fuel', 'Rent', 'Cash'],
+  Bank: ['QNB Current', 'Cash'],
+}
+
+const validRow = { ...emptyGridRow('05/03/2025'), particulars: 'Fuel for van', mainCategory: 'Expenses', subCategory: 'Fuel', debit: '150', contra: 'QNB Current' }
+
+describe('parsePastedRows', () => {
+  it('puts cells in the columns their headings name, in any order', () => {
+    const text = 'Particulars\tDebit\tDate\tBank\r\nRent March\t5,000\t2025-03-01\tQNB Current (Bank)\r\n'
+    expect(parsePastedRows(text)).toEqual([{ particulars: 'Rent March', debit: '5,000', date: '01/03/2025', contra: 'QNB Current (Bank)' }])
+  })
+
+  it('without headings, fills the columns from the cell pasted into', () => {
+    expect(parsePastedRows('Fuel\t\t120\n\nWater\t\t35', 'subCategory')).toEqual([
+      { subCategory: 'Fuel', partnerName: '', debit: '120' },
+      { subCategory: 'Water', partnerName: '', debit: '35' },
+    ])
+  })
+
+  it('rewrites dashed and dotted dates as dd/mm/yyyy', () => {
+    expect(parsePastedRows('1-3-2025\tA\n09.12.2024\tB').map((row) => row.date)).toEqual(['01/03/2025', '09/12/2024'])
+  })
+})
+
+describe('parseAmount', () => {
+  it('reads amounts with separators and a currency code, and blanks as 0', () => {
+    expect(parseAmount('1,250.50')).toBe(1250.5)
+    expect(parseAmount('QAR 300')).toBe(300)
+    expect(parseAmount('')).toBe(0)
+    expect(parseAmount('12a')).toBeNaN()
+  })
+})
+
+describe('validateGridRow', () => {
+  const check = (changes) => validateGridRow({ ...validRow, ...changes }, { parseDate, categories })
+
+  it('passes a complete row', () => {
+    expect(check({})).toEqual({})
+  })
+
+  it('needs a date, particulars and an account in the chart', () => {
+    expect(Object.keys(check({ date: '2025-03-05', particulars: ' ', mainCategory: 'Travel' }))).toEqual(['date', 'particulars', 'mainCategory'])
+    expect(check({ subCategory: 'Salaries' })).toEqual({ subCategory: 'Not an account under Expenses' })
+  })
+
+  it('needs one positive amount, on one side only', () => {
+    expect(check({ debit: '-5' })).toHaveProperty('debit')
+    expect(check({ debit: '', credit: '' })).toEqual({ debit: 'Enter a debit or a credit' })
+    expect(check({ credit: '20' })).toEqual({ credit: 'A line is either a debit or a credit' })
+  })
+
+  it('needs a contra account in the chart that is not the line\'s own', () => {
+    expect(check({ contra: '' })).toHaveProperty('contra')
+    expect(check({ contra: 'Petty Cash' })).toHaveProperty('contra')
+    expect(check({ contra: 'Fuel (Expenses)' })).toEqual({ contra: 'Must be a different account from the line' })
+  })
+
+  it('asks for the group when a contra account name is in several groups', () => {
+    expect(check({ contra: 'Cash' })).toHaveProperty('contra')
+    expect(check({ contra: 'Cash (Bank)' })).toEqual({})
+  })
+})
+
+describe('contra accounts', () => {
+  it('reads "Account (Group)" and account names found in one group', () => {
+    expect(contraAccountOf('Cash (Bank)', categories)).toEqual({ mainCategory: 'Bank', subCategory: 'Cash' })
+    expect(contraAccountOf(' QNB Current ', categories)).toEqual({ mainCategory: 'Bank', subCategory: 'QNB Current' })
+    expect(contraAccountOf('Cash', categories)).toBeNull()
+  })
+
+  it('are carried into the row\'s ledger fields', () => {
+    expect(gridRowEntry(validRow, parseDate, categories)).toEqual({
+      date: new Date(Date.UTC(2025, 2, 5)),
+      particulars: 'Fuel for van',
+      mainCategory: 'Expenses',
+      subCategory: 'Fuel',
+      partnerName: '',
+      debit: 150,
+      credit: 0,
+      contraMainCategory: 'Bank',
+      contraSubCategory: 'QNB Current',
+    })
+  })
+
+  it('do not make a row worth posting on their own', () => {
+    expect(isBlankRow(emptyGridRow('05/03/2025', 'QNB Current'))).toBe(true)
+  })
+})
@@ -0,0 +1,125 @@
+// @vitest-environment jsdom
+// Bank statement parsing (MT940, CAMT.053, CSV amounts) and auto-matching to ledger entries.
+// CAMT.053 is read with DOMParser, hence the jsdom environment.
+import { describe, expect, it } from 'vitest'
+import { MATCH_WINDOW_DAYS, autoMatch, parseCamt053, parseMt940, parseStatementAmount, parseStatementText } from '../../src/reconciliation.js'
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`)
+
+const MT940 = [
+  ':20:STMT0125',
+  ':25:QNBAQAQA/0123456789',
+  ':28C:1/1',
+  ':60F:C241231QAR10000,00',
+  ':61:2501050105D1250,50NTRFINV-204//BANKREF1',
+  'Rent January',
+  ':86:Office rent payment',
+  ':61:2501070107C3000,NTRFNONREF//BR2',
+  ':86:Customer transfer',
+  ':61:2501090109RD50,00NCHGNONREF',
+  ':86:Charge reversed',
+  ':62F:C250131QAR11799,50',
+].join('\r\n')
+
+describe('parseMt940', () => {
+  const { lines, openingBalance, closingBalance } = parseMt940(MT940)
+
+  it('reads the :61: debit/credit mark as the sign of the amount', () => {
+    expect(lines.map((line) => line.amount)).toEqual([-1250.5, 3000, 50])
+  })
+
+  it('reads the date, the reference and the :86: details of each line', () => {
+    expect(lines[0]).toEqual({ date: day('2025-01-05'), description: 'Rent January Office rent payment', reference: 'INV-204', amount: -1250.5 })
+    // NONREF falls back to the bank's reference
+    expect(lines[1].reference).toBe('BR2')
+  })
+
+  it('reads the opening and closing balances', () => {
+    expect(openingBalance).toBe(10000)
+    expect(closingBalance).toBe(11799.5)
+  })
+
+  it('is picked for MT940 text', () => {
+    expect(parseStatementText(MT940).lines).toHaveLength(3)
+  })
+})
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt><Stmt>
+    <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="QAR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+    <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="QAR">200.00</Amt><CdtDbtInd>DBIT</CdtDbtInd></Bal>
+    <Ntry>
+      <Amt Ccy="QAR">1000.00</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+      <BookgDt><Dt>2025-02-03</Dt></BookgDt>
+      <NtryDtls><TxDtls><Refs><EndToEndId>PAY-77</EndToEndId></Refs><RmtInf><Ustrd>Supplier payment</Ustrd></RmtInf></TxDtls></NtryDtls>
+    </Ntry>
+    <Ntry>
+      <Amt Ccy="QAR">300.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+      <BookgDt><Dt>2025-02-04</Dt></BookgDt>
+      <AcctSvcrRef>SVC-1</AcctSvcrRef>
+      <NtryDtls><TxDtls><Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs></TxDtls></NtryDtls>
+      <AddtlNtryInf>Cash deposit</AddtlNtryInf>
+    </Ntry>
+  </Stmt></BkToCstmrStmt>
+</Document>`
+
+describe('parseCamt053', () => {
+  const { lines, openingBalance, closingBalance } = parseCamt053(CAMT)
+
+  it('reads CdtDbtInd as the sign of entries and balances', () => {
+    expect(lines.map((line) => line.amount)).toEqual([-1000, 300])
+    expect(openingBalance).toBe(500)
+    expect(closingBalance).toBe(-200)
+  })
+
+  it('reads the booking date, description and reference of each entry', () => {
+    expect(lines[0]).toEqual({ date: day('2025-02-03'), description: 'Supplier payment', reference: 'PAY-77', amount: -1000 })
+    expect(lines[1]).toMatchObject({ description: 'Cash deposit', reference: 'SVC-1' })
+  })
+
+  it('refuses text that is not XML', () => {
+    expect(() => parseCamt053('<Document><Stmt>')).toThrow(/not valid XML/)
+  })
+})
+
+describe('parseStatementAmount', () => {
+  it('reads the ways banks print amounts', () => {
+    expect(parseStatementAmount('1,250.00')).toBe(1250)
+    expect(parseStatementAmount('(300.00)')).toBe(-300)
+    expect(parseStatementAmount('300.00 DR')).toBe(-300)
+    expect(parseStatementAmount('QAR 75')).toBe(75)
+    expect(parseStatementAmount('')).toBeNull()
+  })
+})
+
+describe('autoMatch', () => {
+  const line = (id, amount, date, reference = '', description = '') => ({ id, amount, date: day(date), reference, description, entryId: null })
+  const entry = (id, debit, credit, date, particulars = '') => ({ id, debit, credit, date: day(date), particulars })
+
+  it(`matches the same amount up to ${MATCH_WINDOW_DAYS} days apart, and no further`, () => {
+    const [near] = autoMatch([line('L1', -500, '2025-03-10')], [entry('e1', 0, 500, '2025-03-15')])
+    const [far] = autoMatch([line('L1', -500, '2025-03-10')], [entry('e1', 0, 500, '2025-03-16')])
+    expect(near.entryId).toBe('e1')
+    expect(far.entryId).toBeNull()
+  })
+
+  it('needs the amount and its side to agree', () => {
+    const [matched] = autoMatch([line('L1', -500, '2025-03-10')], [entry('e1', 500, 0, '2025-03-10'), entry('e2', 0, 500.01, '2025-03-10')])
+    expect(matched.entryId).toBeNull()
+  })
+
+  it('prefers a shared reference to a closer date', () => {
+    const [matched] = autoMatch(
+      [line('L1', 200, '2025-03-10', 'INV-204')],
+      [entry('near', 200, 0, '2025-03-10', 'Sales receipt'), entry('ref', 200, 0, '2025-03-13', 'Receipt INV-204')],
+    )
+    expect(matched.entryId).toBe('ref')
+  })
+
+  it('uses each entry once, and keeps lines already matched', () => {
+    const lines = [line('L1', 100, '2025-03-10'), line('L2', 100, '2025-03-11'), { ...line('L3', 100, '2025-03-11'), entryId: 'e3' }]
+    const entries = [entry('e1', 100, 0, '2025-03-10'), entry('e2', 100, 0, '2025-03-11'), entry('e3', 100, 0, '2025-03-11')]
+    expect(autoMatch(lines, entries).map((l) => l.entryId)).toEqual(['e1', 'e2', 'e3'])
+  })
+})
@@ -0,0 +1,64 @@
+// Recurring templates: due dates (month-end clamping, end dates, lastDueDate, the catch-up cap) and the lines they post.
+// The Firebase app is replaced so the module loads without a project.
+import { describe, expect, it, vi } from 'vitest'
+
+vi.mock('../../src/firebase', () => ({ db: {}, auth: {}, storage: {} }))
+
+const { MAX_CATCH_UP_PERIODS, dueDates, hasAccounts, nextDueDate, recurringLines } = await import('../../src/recurring.js')
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`)
+const isoDays = (dates) => dates.map((date) => date.toISOString().slice(0, 10))
+
+describe('dueDates', () => {
+  it('keeps a month-end template on the last day of each month', () => {
+    const template = { frequency: 'monthly', startDate: day('2025-01-31') }
+    expect(isoDays(dueDates(template, day('2025-04-15')))).toEqual(['2025-01-31', '2025-02-28', '2025-03-31'])
+  })
+
+  it('counts weekly templates in days and includes a date falling on asOf', () => {
+    const template = { frequency: 'weekly', startDate: day('2025-03-03') }
+    expect(isoDays(dueDates(template, day('2025-03-17')))).toEqual(['2025-03-03', '2025-03-10', '2025-03-17'])
+  })
+
+  it('leaves out dates up to lastDueDate and after the end date', () => {
+    const template = { frequency: 'monthly', startDate: day('2025-01-15'), lastDueDate: day('2025-02-15'), endDate: day('2025-04-30') }
+    expect(isoDays(dueDates(template, day('2025-12-31')))).toEqual(['2025-03-15', '2025-04-15'])
+  })
+
+  it(`catches up at most ${MAX_CATCH_UP_PERIODS} periods at once`, () => {
+    const dates = dueDates({ frequency: 'monthly', startDate: day('2020-01-01') }, day('2025-01-01'))
+    expect(dates).toHaveLength(MAX_CATCH_UP_PERIODS)
+    expect(isoDays(dates).at(-1)).toBe('2021-12-01')
+  })
+
+  it('has nothing due before the start date or for an unknown frequency', () => {
+    expect(dueDates({ frequency: 'quarterly', startDate: day('2025-06-01') }, day('2025-05-31'))).toEqual([])
+    expect(dueDates({ frequency: 'fortnightly', startDate: day('2025-01-01') }, day('2025-12-31'))).toEqual([])
+  })
+})
+
+describe('nextDueDate', () => {
+  it('is the first date after lastDueDate, or null once the template has ended', () => {
+    expect(isoDays([nextDueDate({ frequency: 'quarterly', startDate: day('2025-01-31'), lastDueDate: day('2025-01-31') })])).toEqual(['2025-04-30'])
+    expect(nextDueDate({ frequency: 'yearly', startDate: day('2024-02-29'), lastDueDate: day('2024-02-29'), endDate: day('2025-01-31') })).toBeNull()
+  })
+})
+
+describe('recurringLines', () => {
+  const rent = { mainCategory: 'Expenses', subCategory: 'Rent', contraMainCategory: 'Assets', contraSubCategory: 'Bank', amount: 5000 }
+
+  it('posts the account on its normal side and the contra account on the other', () => {
+    expect(recurringLines(rent, [])).toEqual([
+      { mainCategory: 'Expenses', subCategory: 'Rent', debit: 5000, credit: 0 },
+      { mainCategory: 'Assets', subCategory: 'Bank', debit: 0, credit: 5000 },
+    ])
+    expect(recurringLines({ ...rent, mainCategory: 'Income', subCategory: 'Sales' }, []).map((line) => line.credit)).toEqual([5000, 0])
+  })
+
+  it('refuses an entry without a contra account', () => {
+    const { contraSubCategory, ...incomplete } = rent
+    expect(hasAccounts(rent)).toBe(true)
+    expect(hasAccounts(incomplete)).toBe(false)
+    expect(() => recurringLines(incomplete, [])).toThrow(/contra account/)
+  })
+})
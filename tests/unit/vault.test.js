@@ -0,0 +1,69 @@
+// Credentials vault: AES-GCM secrets under a passphrase-derived key, unlocking, and what exports may carry.
+import { beforeAll, describe, expect, it } from 'vitest'
+import { createVault, decryptSecret, encryptSecret, encryptSecretFields, isEncrypted, secretForExport, secretsForExport, unlockVault } from '../../src/vault.js'
+
+let vault
+
+beforeAll(async () => {
+  vault = await createVault('correct horse battery', 'owner-uid')
+})
+
+describe('createVault and unlockVault', () => {
+  it('stores a salt and check, never the passphrase', () => {
+    expect(vault.record).toMatchObject({ algorithm: 'AES-GCM-256/PBKDF2-SHA256', iterations: 310000, createdBy: 'owner-uid' })
+    expect(isEncrypted(vault.record.check)).toBe(true)
+    expect(JSON.stringify(vault.record)).not.toContain('correct horse')
+  })
+
+  it('unlocks with the passphrase and refuses any other', async () => {
+    const key = await unlockVault('correct horse battery', vault.record)
+    expect(await decryptSecret(key, await encryptSecret(vault.key, '4321'))).toBe('4321')
+    expect(await unlockVault('wrong horse battery', vault.record)).toBeNull()
+    expect(await unlockVault('', vault.record)).toBeNull()
+  })
+})
+
+describe('secrets', () => {
+  it('encrypt to a different ciphertext each time and decrypt back', async () => {
+    const [a, b] = await Promise.all([encryptSecret(vault.key, '4321'), encryptSecret(vault.key, '4321')])
+    expect(a).toMatch(/^enc:v1:/)
+    expect(a).not.toBe(b)
+    expect(await decryptSecret(vault.key, a)).toBe('4321')
+  })
+
+  it('leave plain values saved before the vault as they are', async () => {
+    expect(await decryptSecret(vault.key, '4321')).toBe('4321')
+    expect(await decryptSecret(vault.key, undefined)).toBe('')
+    expect(await encryptSecret(vault.key, '')).toBe('')
+  })
+
+  it('do not decrypt under another vault key', async () => {
+    const other = await createVault('another passphrase', 'owner-uid')
+    await expect(decryptSecret(other.key, await encryptSecret(vault.key, '4321'))).rejects.toThrow()
+  })
+
+  it('are encrypted in a record once, leaving other fields alone', async () => {
+    const already = await encryptSecret(vault.key, '9999')
+    const record = await encryptSecretFields(vault.key, { name: 'Portal', passcode: 'hunter2', pin: already })
+    expect(record.name).toBe('Portal')
+    expect(await decryptSecret(vault.key, record.passcode)).toBe('hunter2')
+    expect(record.pin).toBe(already)
+  })
+})
+
+describe('exports', () => {
+  const employee = { fullName: 'Ali', payCardPin: '1234', passcode: 'enc:v1:aXY=:Y3Q=' }
+
+  it('drop secret fields by default', async () => {
+    expect(await secretsForExport(employee)).toEqual({ fullName: 'Ali' })
+    expect(await secretForExport('1234')).toBe('')
+  })
+
+  it('carry only ciphertext in an encrypted export', async () => {
+    const exported = await secretsForExport(employee, vault.key)
+    expect(exported.fullName).toBe('Ali')
+    expect(await decryptSecret(vault.key, exported.payCardPin)).toBe('1234')
+    expect(exported.passcode).toBe(employee.passcode)
+    expect(isEncrypted(await secretForExport('1234', vault.key))).toBe(true)
+  })
+})